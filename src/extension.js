@@ -1,6 +1,40 @@
 const vscode = require("vscode");
-const { generateSwitchTable, generateEventSignatures } = require("./features/commands");
+const {
+    generateSwitchTable,
+    generateSignatureConstants,
+    generateStackComments,
+    showMacroExpansion,
+    showMacroGasEstimate,
+    copySelector,
+    exportAbi,
+    exportStorageLayout,
+    convertSolidityInterface,
+    importAbi,
+    showDecodedCalldata,
+    promptEncodeCalldata
+} = require("./features/commands");
 const { provideHoverHandler } = require("./features/hover/index");
+const {
+    provideDefinitionHandler,
+    provideReferencesHandler,
+    prepareRenameHandler,
+    provideRenameEditsHandler
+} = require("./features/navigation/index");
+const { provideDocumentSymbolsHandler, provideWorkspaceSymbolsHandler } = require("./features/outline/index");
+const { provideCompletionHandler } = require("./features/completion/index");
+const { provideSignatureHelpHandler } = require("./features/signature/index");
+const {
+    provideDocumentFormattingEditsHandler,
+    provideDocumentRangeFormattingEditsHandler
+} = require("./features/formatter/index");
+const { provideCodeLensesHandler } = require("./features/lenses/index");
+const { provideInlayHintsHandler } = require("./features/hints/index");
+const { provideDocumentSemanticTokensHandler, legend } = require("./features/highlighting/index");
+const { provideFoldingRangesHandler, provideSelectionRangesHandler } = require("./features/folding/index");
+const { registerDiagnostics, registerSelectorScan } = require("./features/diagnostics/index");
+const { watchIncludeGraph } = require("./features/project/documents");
+const { registerGasDecorations } = require("./features/gas/decorations");
+const { showSizeReport } = require("./features/size/report");
 const { LANGUAGE_ID } = require("./settings");
 
 let activeEditor;
@@ -8,6 +42,7 @@ let activeEditor;
 // View Providers
 const { MacroDebuggerViewProvider } = require("./features/debugger/macro/macroDebuggerViewProvider");
 const { DebuggerViewProvider } = require("./features/debugger/function/functionDebuggerViewProvider");
+const { StorageLayoutProvider } = require("./features/storage/view");
 
 /**Activate
  * 
@@ -25,6 +60,101 @@ function activate(context){
         },
     })
 
+    vscode.languages.registerDefinitionProvider(LANGUAGE_ID, {
+        provideDefinition(document, position, token){
+            return provideDefinitionHandler(document, position, token)
+        },
+    })
+
+    vscode.languages.registerReferenceProvider(LANGUAGE_ID, {
+        provideReferences(document, position, context, token){
+            return provideReferencesHandler(document, position, context, token)
+        },
+    })
+
+    vscode.languages.registerRenameProvider(LANGUAGE_ID, {
+        prepareRename(document, position){
+            return prepareRenameHandler(document, position)
+        },
+        provideRenameEdits(document, position, newName, token){
+            return provideRenameEditsHandler(document, position, newName, token)
+        },
+    })
+
+    vscode.languages.registerDocumentSymbolProvider(LANGUAGE_ID, {
+        provideDocumentSymbols(document, token){
+            return provideDocumentSymbolsHandler(document, token)
+        },
+    })
+
+    vscode.languages.registerWorkspaceSymbolProvider({
+        provideWorkspaceSymbols(query, token){
+            return provideWorkspaceSymbolsHandler(query, token)
+        },
+    })
+
+    vscode.languages.registerCompletionItemProvider(LANGUAGE_ID, {
+        provideCompletionItems(document, position, token){
+            return provideCompletionHandler(document, position, token)
+        },
+    }, "<", "[", "(")
+
+    vscode.languages.registerSignatureHelpProvider(LANGUAGE_ID, {
+        provideSignatureHelp(document, position, token){
+            return provideSignatureHelpHandler(document, position, token)
+        },
+    }, { triggerCharacters: ["(", ","], retriggerCharacters: [","] })
+
+    vscode.languages.registerDocumentFormattingEditProvider(LANGUAGE_ID, {
+        provideDocumentFormattingEdits(document, options, token){
+            return provideDocumentFormattingEditsHandler(document, options, token)
+        },
+    })
+
+    vscode.languages.registerDocumentRangeFormattingEditProvider(LANGUAGE_ID, {
+        provideDocumentRangeFormattingEdits(document, range, options, token){
+            return provideDocumentRangeFormattingEditsHandler(document, range, options, token)
+        },
+    })
+
+    vscode.languages.registerCodeLensProvider(LANGUAGE_ID, {
+        provideCodeLenses(document, token){
+            return provideCodeLensesHandler(document, token)
+        },
+    })
+
+    vscode.languages.registerInlayHintsProvider(LANGUAGE_ID, {
+        provideInlayHints(document, range, token){
+            return provideInlayHintsHandler(document, range, token)
+        },
+    })
+
+    vscode.languages.registerDocumentSemanticTokensProvider(LANGUAGE_ID, {
+        provideDocumentSemanticTokens(document, token){
+            return provideDocumentSemanticTokensHandler(document, token)
+        },
+    }, legend)
+
+    vscode.languages.registerFoldingRangeProvider(LANGUAGE_ID, {
+        provideFoldingRanges(document, context, token){
+            return provideFoldingRangesHandler(document, context, token)
+        },
+    })
+
+    vscode.languages.registerSelectionRangeProvider(LANGUAGE_ID, {
+        provideSelectionRanges(document, positions, token){
+            return provideSelectionRangesHandler(document, positions, token)
+        },
+    })
+
+    // Static checks reported in the problems panel
+    watchIncludeGraph(context);
+    registerDiagnostics(context);
+    const scanSelectors = registerSelectorScan(context);
+
+    // Inline gas estimates for each macro
+    registerGasDecorations(context);
+
     // Register the debug webview
     const debugProvider = new DebuggerViewProvider(context.extensionUri);
     const macroDebugProvider = new MacroDebuggerViewProvider(context.extensionUri);
@@ -37,6 +167,15 @@ function activate(context){
     context.subscriptions.push(
         vscode.window.registerWebviewViewProvider(MacroDebuggerViewProvider.viewType, macroDebugProvider));
 
+    // Storage layout of the contract in the active editor
+    const storageLayoutProvider = new StorageLayoutProvider();
+    storageLayoutProvider.setDocument(active && active.document);
+    context.subscriptions.push(
+        vscode.window.registerTreeDataProvider(StorageLayoutProvider.viewType, storageLayoutProvider),
+        vscode.window.onDidChangeActiveTextEditor(editor => storageLayoutProvider.setDocument(editor && editor.document)),
+        vscode.workspace.onDidSaveTextDocument(() => storageLayoutProvider.refresh())
+    );
+
 
     // Generate a switch table from huff interface definitions
     const switchGenerator = vscode.commands.registerCommand(
@@ -48,13 +187,114 @@ function activate(context){
     const interfaceSignatureGenerator = vscode.commands.registerCommand(
         "huff.tools.eventSignatureGenerator",
         (doc, asJson) => {
-            generateEventSignatures(doc || vscode.window.activeTextEditor.document, asJson);
+            generateSignatureConstants(doc || vscode.window.activeTextEditor.document, "event", asJson);
+        }
+    )
+    const errorSelectorGenerator = vscode.commands.registerCommand(
+        "huff.tools.errorSelectorGenerator",
+        (doc, asJson) => {
+            generateSignatureConstants(doc || vscode.window.activeTextEditor.document, "error", asJson);
+        }
+    )
+    const stackCommentGenerator = vscode.commands.registerCommand(
+        "huff.tools.stackCommentGenerator",
+        () => {
+            generateStackComments(vscode.window.activeTextEditor);
+        }
+    )
+    const abiExporter = vscode.commands.registerCommand(
+        "huff.tools.exportAbi",
+        (doc) => {
+            exportAbi(doc || vscode.window.activeTextEditor.document);
         }
     )
+    const solidityConverter = vscode.commands.registerCommand(
+        "huff.tools.convertSolidityInterface",
+        () => {
+            convertSolidityInterface(vscode.window.activeTextEditor);
+        }
+    )
+    const abiImporter = vscode.commands.registerCommand(
+        "huff.tools.importAbi",
+        () => {
+            importAbi();
+        }
+    )
+    const storageLayoutRefresh = vscode.commands.registerCommand(
+        "huff.tools.refreshStorageLayout",
+        () => {
+            storageLayoutProvider.refresh();
+        }
+    )
+    const storageLayoutExporter = vscode.commands.registerCommand(
+        "huff.tools.exportStorageLayout",
+        () => {
+            const document = storageLayoutProvider.document || vscode.window.activeTextEditor?.document;
+            if (document) exportStorageLayout(document);
+        }
+    )
+    const calldataDecoder = vscode.commands.registerCommand(
+        "huff.tools.decodeCalldata",
+        () => {
+            if (vscode.window.activeTextEditor) showDecodedCalldata(vscode.window.activeTextEditor);
+        }
+    )
+    const calldataEncoder = vscode.commands.registerCommand(
+        "huff.tools.encodeCalldata",
+        (doc) => {
+            promptEncodeCalldata(doc || vscode.window.activeTextEditor.document);
+        }
+    )
+    const selectorScanner = vscode.commands.registerCommand(
+        "huff.tools.scanSelectorCollisions",
+        async () => {
+            try {
+                const count = await scanSelectors();
+                vscode.window.showInformationMessage(count ? `Found ${count} selector problems, see the Problems panel` : "No selector collisions found");
+            } catch (e) {
+                vscode.window.showErrorMessage(`Could not scan the workspace for selector collisions: ${e.message}`);
+            }
+        }
+    )
+    const sizeReport = vscode.commands.registerCommand(
+        "huff.tools.sizeReport",
+        () => {
+            showSizeReport(context, vscode.window.activeTextEditor?.document);
+        }
+    )
+
+    // Code lens commands
+    const lensCommands = [
+        vscode.commands.registerCommand("huff.tools.debugMacro", async (uri, macroName) => {
+            macroDebugProvider.debugMacro(await vscode.workspace.openTextDocument(uri), macroName);
+        }),
+        vscode.commands.registerCommand("huff.tools.debugFunction", async (uri, signature) => {
+            debugProvider.debugFunction(await vscode.workspace.openTextDocument(uri), signature);
+        }),
+        vscode.commands.registerCommand("huff.tools.expandMacro", async (uri, macroName) => {
+            showMacroExpansion(await vscode.workspace.openTextDocument(uri), macroName);
+        }),
+        vscode.commands.registerCommand("huff.tools.estimateMacroGas", async (uri, macroName) => {
+            showMacroGasEstimate(await vscode.workspace.openTextDocument(uri), macroName);
+        }),
+        vscode.commands.registerCommand("huff.tools.copySelector", (uri, selector) => copySelector(selector))
+    ];
 
     // Register commands
+    context.subscriptions.push(...lensCommands);
     context.subscriptions.push(switchGenerator);
     context.subscriptions.push(interfaceSignatureGenerator);
+    context.subscriptions.push(errorSelectorGenerator);
+    context.subscriptions.push(stackCommentGenerator);
+    context.subscriptions.push(sizeReport);
+    context.subscriptions.push(abiExporter);
+    context.subscriptions.push(solidityConverter);
+    context.subscriptions.push(abiImporter);
+    context.subscriptions.push(storageLayoutRefresh);
+    context.subscriptions.push(storageLayoutExporter);
+    context.subscriptions.push(selectorScanner);
+    context.subscriptions.push(calldataDecoder);
+    context.subscriptions.push(calldataEncoder);
 }
 
 
@@ -0,0 +1,149 @@
+const { formatSignature } = require("../parser");
+
+/**Abi Parameter
+ *
+ * Convert a parsed parameter into its JSON ABI form. Tuples keep their array suffix in
+ * `type` and describe their members in `components`.
+ *
+ * @param {Object} param Parameter node from the parser
+ * @param {Boolean} isEventParam Event parameters carry `indexed`
+ * @returns {Object}
+ */
+function abiParameter(param, isEventParam = false) {
+    const abiParam = {
+        name: param.name || "",
+        type: param.components ? `tuple${param.arraySuffix}` : param.type
+    };
+    if (param.components) abiParam.components = param.components.map(component => abiParameter(component));
+    if (isEventParam) abiParam.indexed = param.indexed;
+    return abiParam;
+}
+
+/**Abi Entry
+ *
+ * @param {Object} definition Function, Event or Error node from the parser
+ * @returns {Object}
+ */
+function abiEntry(definition) {
+    switch (definition.type) {
+        case "Function":
+            return {
+                type: "function",
+                name: definition.name,
+                inputs: definition.params.map(param => abiParameter(param)),
+                outputs: definition.outputs.map(param => abiParameter(param)),
+                stateMutability: definition.stateMutability
+            };
+        case "Event":
+            return {
+                type: "event",
+                name: definition.name,
+                inputs: definition.params.map(param => abiParameter(param, true)),
+                anonymous: false
+            };
+        case "Error":
+            return {
+                type: "error",
+                name: definition.name,
+                inputs: definition.params.map(param => abiParameter(param))
+            };
+    }
+    return null;
+}
+
+/**Interface Abi
+ *
+ * A Solidity compatible JSON ABI of every function, event and error defined across a
+ * project, in include order. Definitions repeated with the same signature are listed once.
+ *
+ * @param {Object} project See loadProject
+ * @returns {Array<Object>}
+ */
+function interfaceAbi(project) {
+    const abi = [];
+    const seen = new Set();
+    for (const file of project.files.values()) {
+        for (const definition of file.program.definitions) {
+            const entry = abiEntry(definition);
+            const key = `${definition.type}:${entry ? formatSignature(definition) : ""}`;
+            if (!entry || seen.has(key)) continue;
+
+            seen.add(key);
+            abi.push(entry);
+        }
+    }
+    return abi;
+}
+
+/**Read Abi
+ *
+ * Get the ABI out of a parsed JSON file: a plain ABI array, or a Foundry, Hardhat or
+ * Truffle artifact with an `abi` field
+ *
+ * @param {*} json
+ * @returns {Array<Object>|null}
+ */
+function readAbi(json) {
+    if (Array.isArray(json)) return json;
+    if (json && Array.isArray(json.abi)) return json.abi;
+    return null;
+}
+
+/**Huff Parameter Type
+ *
+ * @param {Object} param JSON ABI parameter
+ * @returns {String} e.g. `(address,uint256)[]` for a `tuple[]`
+ */
+function huffParameterType(param) {
+    if (!param.type.startsWith("tuple")) return param.type;
+    return `(${(param.components || []).map(huffParameterType).join(",")})${param.type.slice("tuple".length)}`;
+}
+
+/**Huff Parameters
+ *
+ * @param {Array<Object>} params JSON ABI parameters
+ * @returns {String}
+ */
+function huffParameters(params = []) {
+    return params
+        .map(param => [huffParameterType(param), param.indexed ? "indexed" : null, param.name || null].filter(Boolean).join(" "))
+        .join(", ");
+}
+
+/**Abi To Huff
+ *
+ * Write huff interface definitions for the functions, events and errors of a JSON ABI.
+ * ABIs from before `stateMutability` use `constant` and `payable` instead.
+ *
+ * @param {Array<Object>} abi
+ * @returns {{content: String, warnings: Array<String>}}
+ */
+function abiToHuff(abi) {
+    const lines = [];
+    const warnings = [];
+    for (const entry of abi) {
+        switch (entry.type) {
+            case "function": {
+                const stateMutability = entry.stateMutability || (entry.constant ? "view" : entry.payable ? "payable" : "nonpayable");
+                lines.push(`#define function ${entry.name}(${huffParameters(entry.inputs)}) ${stateMutability} returns (${huffParameters(entry.outputs)})`);
+                break;
+            }
+            case "event":
+                if (entry.anonymous) warnings.push(`Event ${entry.name} is anonymous, huff events always emit their topic`);
+                lines.push(`#define event ${entry.name}(${huffParameters(entry.inputs)})`);
+                break;
+            case "error":
+                lines.push(`#define error ${entry.name}(${huffParameters(entry.inputs)})`);
+                break;
+        }
+    }
+    return { content: lines.length ? `${lines.join("\n")}\n` : "", warnings: [...new Set(warnings)] };
+}
+
+module.exports = {
+    interfaceAbi,
+    readAbi,
+    abiToHuff,
+    abiEntry,
+    abiParameter
+}
@@ -0,0 +1,46 @@
+// Builtin Functions
+//
+// Documentation for the huff compiler builtins. `params` name the argument each builtin takes.
+
+const BUILTIN_FUNCTIONS = {
+    __FUNC_SIG: {
+        params: ["function"],
+        description: "Pushes the 4 byte selector of an interface function, or of a signature string such as \"transfer(address,uint256)\"."
+    },
+    __EVENT_HASH: {
+        params: ["event"],
+        description: "Pushes the 32 byte topic of an event definition."
+    },
+    __ERROR: {
+        params: ["error"],
+        description: "Pushes the 4 byte selector of a custom error, left aligned in a 32 byte word."
+    },
+    __tablestart: {
+        params: ["table"],
+        description: "Pushes the code offset of a jump table or code table."
+    },
+    __tablesize: {
+        params: ["table"],
+        description: "Pushes the size in bytes of a jump table or code table."
+    },
+    __codesize: {
+        params: ["macro"],
+        description: "Pushes the size in bytes of a macro's compiled code."
+    },
+    __RIGHTPAD: {
+        params: ["literal"],
+        description: "Pushes a hex literal right padded to 32 bytes."
+    },
+    __VERBATIM: {
+        params: ["bytecode"],
+        description: "Inserts the given bytecode verbatim."
+    },
+    FREE_STORAGE_POINTER: {
+        params: [],
+        description: "Assigns the next free storage slot to a constant. Slots are handed out in definition order across included files."
+    }
+};
+
+module.exports = {
+    BUILTIN_FUNCTIONS
+}
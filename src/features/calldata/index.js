@@ -0,0 +1,138 @@
+const { AbiCoder, ParamType } = require("@ethersproject/abi");
+const { getDefinitions, formatSignature } = require("../parser");
+const { hashSignature } = require("../regexUtils");
+const { abiParameter } = require("../abi");
+
+const CALLDATA_ERROR = "Calldata must be hex starting with a 4 byte selector";
+
+/**Calldata Functions
+ *
+ * The functions calldata of a project can be meant for, one per signature
+ *
+ * @param {Object} project See loadProject
+ * @returns {Array<{signature: String, selector: String, params: Array<Object>}>} `selector` without 0x,
+ *  `params` in JSON ABI form
+ */
+function calldataFunctions(project) {
+    const functions = new Map();
+    for (const file of project.files.values()) {
+        for (const definition of getDefinitions(file.program, "Function")) {
+            const signature = formatSignature(definition);
+            if (functions.has(signature)) continue;
+            functions.set(signature, {
+                signature,
+                selector: hashSignature(signature, 8),
+                params: definition.params.map(param => abiParameter(param))
+            });
+        }
+    }
+    return [...functions.values()];
+}
+
+/**Decoded Value
+ *
+ * Turn decoded values into plain strings, booleans and arrays
+ *
+ * @param {*} value Output of the abi coder
+ * @returns {*}
+ */
+function decodedValue(value) {
+    if (Array.isArray(value)) return [...value].map(decodedValue);
+    if (value && value._isBigNumber) return value.toString();
+    return value;
+}
+
+/**Normalize Calldata
+ *
+ * @param {String} text Hex, with or without 0x and whitespace
+ * @returns {String|null} Lower case hex without 0x, null unless it is whole bytes starting with a 4 byte selector
+ */
+function normalizeCalldata(text) {
+    const data = text.replace(/\s/g, "").replace(/^0x/i, "").toLowerCase();
+    return /^([0-9a-f]{2})*$/.test(data) && data.length >= 8 ? data : null;
+}
+
+/**Decode Calldata
+ *
+ * Decode the arguments of calldata for every function with its selector. Colliding
+ * functions are all tried, those the arguments do not decode as are left out.
+ *
+ * @param {String} calldata Hex, with or without 0x
+ * @param {Array<Object>} functions See calldataFunctions
+ * @returns {{selector: String, decoded: Array<{signature: String, args: Array<Object>}>}}
+ */
+function decodeCalldata(calldata, functions) {
+    const data = normalizeCalldata(calldata);
+    if (!data) throw new Error(CALLDATA_ERROR);
+
+    const selector = data.slice(0, 8);
+    const coder = new AbiCoder();
+    const decoded = [];
+    for (const fn of functions.filter(fn => fn.selector === selector)) {
+        try {
+            const values = coder.decode(fn.params, `0x${data.slice(8)}`);
+            decoded.push({
+                signature: fn.signature,
+                args: fn.params.map((param, i) => ({ name: param.name, type: ParamType.from(param).format("sighash"), value: decodedValue(values[i]) }))
+            });
+        } catch (e) {
+            continue;
+        }
+    }
+    return { selector, decoded };
+}
+
+/**Format Decoded
+ *
+ * @param {Object} result See decodeCalldata
+ * @returns {String}
+ */
+function formatDecoded({ selector, decoded }) {
+    return decoded.map(({ signature, args }) => [
+        `// 0x${selector} ${signature}`,
+        ...args.map((arg, i) => `${arg.name || `arg${i}`} (${arg.type}): ${JSON.stringify(arg.value)}`)
+    ].join("\n")).join("\n\n");
+}
+
+/**Parse Argument
+ *
+ * Read an argument typed in by the user. Arrays and tuples are written as JSON, tuples as
+ * arrays of their members.
+ *
+ * @param {Object} param JSON ABI parameter
+ * @param {String} text
+ * @returns {*} A value the abi coder accepts
+ */
+function parseArgument(param, text) {
+    text = text.trim();
+    if (param.type.endsWith("]") || param.type.startsWith("tuple")) return JSON.parse(text);
+    if (param.type === "bool") {
+        if (!["true", "false"].includes(text)) throw new Error("Expected true or false");
+        return text === "true";
+    }
+    return text;
+}
+
+/**Argument Error
+ *
+ * @param {Object} param JSON ABI parameter
+ * @param {String} text
+ * @returns {String|null} Why `text` cannot be encoded as `param`, null if it can
+ */
+function argumentError(param, text) {
+    try {
+        new AbiCoder().encode([param], [parseArgument(param, text)]);
+        return null;
+    } catch (e) {
+        return e.reason || e.message;
+    }
+}
+
+module.exports = {
+    calldataFunctions,
+    normalizeCalldata,
+    decodeCalldata,
+    formatDecoded,
+    parseArgument,
+    argumentError
+}
@@ -1,79 +1,467 @@
 const vscode = require("vscode");
-const { functionSignatureExtractor, eventSignatureExtractor, toUpperSnakeCase } = require("./regexUtils");
+const path = require("path");
+const { functionSignatureExtractor, interfaceSignatureExtractor, signatureConstants, formatCollisions, SIGNATURE_KINDS } = require("./regexUtils");
+const { getDocumentProject, toRange } = require("./project/documents");
+const { createStackContext } = require("./stack");
+const { annotateMacroStack } = require("./stack/comments");
+const { findDefinitions } = require("./project");
+const { expandMacro, renderExpansion } = require("./expansion");
+const { estimateMacroGas } = require("./gas");
+const { interfaceAbi, readAbi, abiToHuff } = require("./abi");
+const { dispatcherFunctions, generateDispatcher, STRATEGIES } = require("./dispatcher");
+const { compareDispatchGas, formatGasComparison } = require("./dispatcher/trace");
+const { parse } = require("./parser");
+const { solidityToHuff } = require("./solidity");
+const { layoutReport } = require("./storage");
+const { calldataFunctions, normalizeCalldata, decodeCalldata, formatDecoded, parseArgument, argumentError } = require("./calldata");
+const { encodeCalldata } = require("./debugger/function/debugger");
+const { extensionConfig } = require("../settings");
+
+// Options offered when generating a MAIN() dispatcher
+const DISPATCHER_OPTIONS = [
+    { label: "Callvalue guards", detail: "Revert calls sending value to functions that are not payable", option: "callvalueGuards" },
+    { label: "Fallback", detail: "Invoke FALLBACK() for unknown selectors instead of reverting", option: "fallback" },
+    { label: "Receive", detail: "Invoke RECEIVE() for calls without calldata", option: "receive" }
+];
+const STRATEGY_LABELS = {
+    linear: "Linear",
+    binary: "Binary search",
+    jumptable: "Packed jump table"
+};
 
 /**Generate switch table
  * 
  * Read all of the public function definitions and automatically generate a switch table with 
- * references to these functions
+ * references to these functions. The dispatch strategy and options are picked from a list
+ * that shows the estimated gas of each strategy, the output starts with a gas comparison
+ * per selector.
  * 
  * @param {*} document - The currently open vscode file
  * @param {*} asJson 
  */
 async function generateSwitchTable(document, asJson) {
-    let {sigHashes, collisions} = functionSignatureExtractor(document.getText());
+    if (asJson) {
+        let {sigHashes, collisions} = functionSignatureExtractor(document.getText());
+        if (collisions.length){
+            vscode.window.showErrorMessage("Function sigHash collisions detected " + formatCollisions(collisions));
+        }
+        outputContentToSideEditor(JSON.stringify(sigHashes));
+        return;
+    }
 
+    const { functions, collisions } = dispatcherFunctions(parse(document.getText()));
     if (collisions.length){
-        vscode.window.showErrorMessage("Function sigHash collisions detected " + collisions.join(","));
+        vscode.window.showErrorMessage("Function sigHash collisions detected " + formatCollisions(collisions));
+    }
+    if (!functions.length) {
+        vscode.window.showErrorMessage("No functions are defined in this file");
+        return;
     }
 
-    let content;
+    const picked = await vscode.window.showQuickPick(DISPATCHER_OPTIONS, { canPickMany: true, placeHolder: "Dispatcher options" });
+    if (!picked) return;
+    const options = Object.fromEntries(picked.map(item => [item.option, true]));
+
+    // A jump table is only possible when a few bits of the selectors tell them apart
+    const sources = {};
+    for (const strategy of STRATEGIES) {
+        const source = generateDispatcher(functions, { ...options, strategy });
+        if (source) sources[strategy] = source;
+    }
+
+    const comparison = compareDispatchGas(functions, sources);
+    const items = Object.keys(sources).map(strategy => {
+        const gas = comparison.map(row => row.gas[strategy]);
+        const average = Math.round(gas.reduce((total, value) => total + value, 0) / gas.length);
+        return { label: STRATEGY_LABELS[strategy], description: `~${average} gas on average, ${Math.max(...gas)} at most`, strategy };
+    });
+    const choice = await vscode.window.showQuickPick(items, { placeHolder: "Dispatch strategy" });
+    if (!choice) return;
+
+    outputContentToSideEditor(`${formatGasComparison(comparison)}\n\n${sources[choice.strategy]}`);
+}
+
+
+/**Generate Signature Constants
+ * 
+ * Similar to generating function signatures above, but this command outputs a constant for the
+ * hash of every function, event or error: 4 byte selectors for functions and errors, 32 byte 
+ * topics for events. The constant suffix is configured by `huff.signatureConstants.suffix`.
+ * 
+ * @param {*} document 
+ * @param {String} kind "function", "event" or "error"
+ * @param {*} asJson 
+ */
+async function generateSignatureConstants(document, kind, asJson) {
+    let content = "";
     if (asJson) {
-        content = JSON.stringify(sigHashes);
+        content = JSON.stringify(extractSignatures(document.getText(), kind));
     }
     else {
-        // Create MAIN macro
-        content = "#define macro MAIN() = takes(0) returns(0) {\n\t0x00 calldataload 0xE0 shr\n"
-        
-        // Create jumps
-        for (let hash in sigHashes){
-            content += `\tdup1 0x${hash} eq ${sigHashes[hash].split("(")[0]} jumpi\n`
-        }
-        content += "\n"
-        
-        // Create dispatch statements
-        for (let hash in sigHashes){
-            const name = sigHashes[hash].split("(")[0];
-            content += `\t${name}:\n\t\t${toUpperSnakeCase(name)}()\n`
-        }
+        // Output each resultant hash into new editor
+        content = selectorConstants(document.getText(), kind);
+    }
+
+    outputContentToSideEditor(content)
+}
+
 
-        // No default fallback
-        content += "\t0x00 0x00 revert\n}"
+/**Extract Signatures
+ *
+ * Hash the interface definitions of one kind, reporting selector collisions
+ *
+ * @param {String} text
+ * @param {String} kind function, event or error
+ * @returns {Object} hash to signature
+ */
+function extractSignatures(text, kind) {
+    let {sigHashes, collisions} = interfaceSignatureExtractor(text, kind);
+
+    if (collisions.length){
+        vscode.window.showErrorMessage(`${kind[0].toUpperCase()}${kind.slice(1)} sigHash collisions detected ${formatCollisions(collisions)}`);
     }
+    return sigHashes;
+}
+
+
+/**Selector Constants
+ *
+ * Constant definitions for the interface definitions of one kind, named with the
+ * configured suffix
+ *
+ * @param {String} text
+ * @param {String} kind function, event or error
+ * @param {Set<String>} taken Constant names already written, see signatureConstants
+ * @returns {String}
+ */
+function selectorConstants(text, kind, taken = new Set()) {
+    const suffix = extensionConfig().get("signatureConstants.suffix", "_SIGNATURE");
+    const kindSuffix = SIGNATURE_KINDS[kind].suffix;
+    return signatureConstants(extractSignatures(text, kind), suffix === "byKind" ? kindSuffix : suffix, taken, kindSuffix);
+}
 
+
+/**Generate Stack Comments
+ * 
+ * Annotate each line of the macro under the cursor with the stack after it
+ * 
+ * @param {vscode.TextEditor} editor 
+ */
+async function generateStackComments(editor) {
+    const document = editor.document;
+    const project = getDocumentProject(document);
+    const file = project.files.get(document.uri.fsPath);
+    const offset = document.offsetAt(editor.selection.active);
+
+    const macro = file && file.program.definitions.find(definition =>
+        definition.type === "Macro" && definition.range.start <= offset && offset <= definition.range.end
+    );
+    if (!macro) {
+        vscode.window.showErrorMessage("Place the cursor inside a macro to generate its stack comments");
+        return;
+    }
+
+    const edits = annotateMacroStack(file.source, file.program, macro, createStackContext(project));
+    await editor.edit(builder => {
+        for (const edit of edits) builder.replace(toRange(file.source, edit.range), edit.text);
+    });
+}
+
+
+/**Find Document Macro
+ * 
+ * Look a macro up through the document's include chain
+ * 
+ * @param {vscode.TextDocument} document 
+ * @param {String} macroName 
+ * @returns {{project: Object, file: Object, definition: Object}|null}
+ */
+function findDocumentMacro(document, macroName) {
+    const project = getDocumentProject(document);
+    const [found] = findDefinitions(project, "Macro", macroName);
+    if (!found) {
+        vscode.window.showErrorMessage(`Macro ${macroName} could not be found`);
+        return null;
+    }
+    return { project, ...found };
+}
+
+
+/**Expand Macro
+ * 
+ * Show a macro with every nested invocation inlined, the way huffc compiles it
+ * 
+ * @param {vscode.TextDocument} document 
+ * @param {String} macroName 
+ */
+async function showMacroExpansion(document, macroName) {
+    const found = findDocumentMacro(document, macroName);
+    if (!found) return;
+
+    const { project, file, definition } = found;
+    const content = `// Expansion of ${macroName}\n${renderExpansion(expandMacro(project, file, definition))}\n`;
     outputContentToSideEditor(content);
 }
 
 
-/**Generate Event Signatures
+/**Estimate Macro Gas
  * 
- * Similar to generating function signatures above, but this command generates 32 byte event topics.
+ * Show the static gas estimate of a macro
  * 
- * @param {*} document 
- * @param {*} asJson 
+ * @param {vscode.TextDocument} document 
+ * @param {String} macroName 
  */
-async function generateEventSignatures(document, asJson) {
-    let {sigHashes, collisions } = eventSignatureExtractor(document.getText())
+async function showMacroGasEstimate(document, macroName) {
+    const found = findDocumentMacro(document, macroName);
+    if (!found) return;
 
-    if (collisions.length){
-        vscode.window.showErrorMessage("Function sigHash collisions detected " + collisions.join(","));
+    const { gas, unexpanded, dynamic } = estimateMacroGas(found.project, found.file, found.definition);
+    const dynamicWarning = dynamic.length ? `, plus the dynamic cost of ${dynamic.map(({ name }) => name).join(", ")}` : "";
+    const warning = unexpanded.length ? ` (could not expand ${[...new Set(unexpanded)].join(", ")})` : "";
+    vscode.window.showInformationMessage(`${macroName} uses at least ${gas} gas${dynamicWarning}${warning}`);
+}
+
+
+/**Export Abi
+ * 
+ * Write a Solidity compatible JSON ABI of the interface definitions in the document and its
+ * includes to `huff.abi.outputPath`, relative to the workspace folder. `${name}` in the path 
+ * is replaced by the name of the document without its extension.
+ * 
+ * @param {vscode.TextDocument} document 
+ */
+async function exportAbi(document) {
+    const abi = interfaceAbi(getDocumentProject(document));
+    if (!abi.length) {
+        vscode.window.showErrorMessage("No functions, events or errors are defined in this file or its includes");
+        return;
     }
 
-    let content = "";
-    if (asJson) {
-        content = JSON.stringify(sigHashes);
+    const { name, uri } = await writeJsonReport(document, extensionConfig().get("abi.outputPath", "abi/${name}.json"), abi);
+    vscode.window.showInformationMessage(`Wrote the ABI of ${name} to ${vscode.workspace.asRelativePath(uri)}`);
+}
+
+
+/**Export Storage Layout
+ *
+ * Write the storage slots of a contract and the macros accessing them to a JSON file
+ *
+ * @param {vscode.TextDocument} document
+ */
+async function exportStorageLayout(document) {
+    const report = layoutReport(getDocumentProject(document), (filePath) => vscode.workspace.asRelativePath(filePath));
+    if (!report.slots.length) {
+        vscode.window.showErrorMessage("No FREE_STORAGE_POINTER() constants are defined in this file or its includes");
+        return;
     }
-    else {
-        for (let hash in sigHashes){             
-            const name = sigHashes[hash].split("(")[0];
-            
-            // Output each resultant hash into new editor
-            content += `#define constant ${toUpperSnakeCase(name)}_SIGNATURE = 0x${hash}\n`
-        }
+
+    const { name, uri } = await writeJsonReport(document, extensionConfig().get("storageLayout.outputPath", "storage/${name}.json"), report);
+    vscode.window.showInformationMessage(`Wrote the storage layout of ${name} to ${vscode.workspace.asRelativePath(uri)}`);
+}
+
+
+/**Write Json Report
+ *
+ * @param {vscode.TextDocument} document The file the report is about
+ * @param {String} outputPath Relative to the workspace folder, `${name}` is replaced by the file name
+ * @param {*} json
+ * @returns {Promise<{name: String, uri: vscode.Uri}>}
+ */
+async function writeJsonReport(document, outputPath, json) {
+    const name = path.basename(document.uri.fsPath, path.extname(document.uri.fsPath));
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    const base = folder ? folder.uri.fsPath : path.dirname(document.uri.fsPath);
+    const uri = vscode.Uri.file(path.resolve(base, outputPath.replace(/\$\{name\}/g, name)));
+
+    await vscode.workspace.fs.createDirectory(vscode.Uri.file(path.dirname(uri.fsPath)));
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(`${JSON.stringify(json, null, 2)}\n`));
+    return { name, uri };
+}
+
+
+/**Convert Solidity Interface
+ * 
+ * Translate a Solidity interface into huff interface definitions. Converts the selection of the
+ * active editor if there is one, the active Solidity file otherwise, or asks for a .sol file.
+ * 
+ * @param {vscode.TextEditor} editor 
+ */
+async function convertSolidityInterface(editor) {
+    let source = null;
+    if (editor && !editor.selection.isEmpty) {
+        source = editor.document.getText(editor.selection);
+    } else if (editor && editor.document.fileName.endsWith(".sol")) {
+        source = editor.document.getText();
+    } else {
+        const [uri] = await vscode.window.showOpenDialog({ canSelectMany: false, filters: { Solidity: ["sol"] } }) || [];
+        if (!uri) return;
+        source = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString();
     }
 
-    outputContentToSideEditor(content)
+    const { content, warnings } = solidityToHuff(source);
+    if (!content) {
+        vscode.window.showErrorMessage("No functions, events or errors were found to convert");
+        return;
+    }
+    if (warnings.length) vscode.window.showWarningMessage(warnings.join(". "));
+    outputContentToSideEditor(content);
+}
+
+
+/**Import Abi
+ *
+ * Write a huff interface for an ABI or a compiler artifact from the workspace, optionally
+ * followed by the selector constants of its functions, events and errors
+ */
+async function importAbi() {
+    const uri = await pickAbiFile();
+    if (!uri) return;
+
+    let abi = null;
+    try {
+        abi = readAbi(JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(uri)).toString()));
+    } catch (e) {
+        vscode.window.showErrorMessage(`Could not read ${path.basename(uri.fsPath)}: ${e.message}`);
+        return;
+    }
+    if (!abi) {
+        vscode.window.showErrorMessage(`${path.basename(uri.fsPath)} is neither an ABI nor an artifact with an abi field`);
+        return;
+    }
+
+    let { content, warnings } = abiToHuff(abi);
+    if (!content) {
+        vscode.window.showErrorMessage("The ABI has no functions, events or errors");
+        return;
+    }
+    if (warnings.length) vscode.window.showWarningMessage(warnings.join(". "));
+
+    const withConstants = await vscode.window.showQuickPick(["Interface only", "Interface and selector constants"], { placeHolder: "Generate selector constants?" });
+    if (!withConstants) return;
+    if (withConstants !== "Interface only") {
+        // Shared so a function and an event of the same name get different constants
+        const taken = new Set();
+        const constants = Object.keys(SIGNATURE_KINDS).map(kind => selectorConstants(content, kind, taken)).filter(Boolean);
+        content = [content, ...constants].join("\n");
+    }
+
+    outputContentToSideEditor(`// ${path.basename(uri.fsPath, ".json")}\n${content}`);
+}
+
+
+/**Pick Abi File
+ *
+ * Choose one of the JSON files in the workspace, or any other local file
+ *
+ * @returns {vscode.Uri|undefined}
+ */
+async function pickAbiFile() {
+    const browse = "Browse...";
+    const files = await vscode.workspace.findFiles("**/*.json", "**/{node_modules,cache,.vscode}/**");
+    const items = [
+        ...files.map(uri => ({ label: vscode.workspace.asRelativePath(uri), uri })).sort((a, b) => a.label.localeCompare(b.label)),
+        { label: browse }
+    ];
+
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: "Select an ABI or artifact JSON file" });
+    if (!picked) return;
+    if (picked.uri) return picked.uri;
+
+    const [uri] = await vscode.window.showOpenDialog({ canSelectMany: false, filters: { JSON: ["json"] } }) || [];
+    return uri;
+}
+
+
+/**Decode Calldata
+ *
+ * Decode the selected calldata, or calldata asked for, as a call to one of the functions
+ * of the document and its includes. A selection too short to hold a selector, such as
+ * a hex literal, offers to encode calldata instead.
+ *
+ * @param {vscode.TextEditor} editor
+ */
+async function showDecodedCalldata(editor) {
+    const selected = editor.selection.isEmpty ? "" : editor.document.getText(editor.selection).trim();
+    if (selected && !normalizeCalldata(selected)) {
+        const encode = "Encode calldata";
+        const choice = await vscode.window.showInformationMessage(`"${selected}" is not calldata, which starts with a 4 byte selector`, encode);
+        if (choice === encode) await promptEncodeCalldata(editor.document);
+        return;
+    }
+
+    const calldata = selected || await vscode.window.showInputBox({
+        prompt: "Calldata to decode",
+        placeHolder: "0xa9059cbb..."
+    });
+    if (!calldata) return;
+
+    let result = null;
+    try {
+        result = decodeCalldata(calldata, calldataFunctions(getDocumentProject(editor.document)));
+    } catch (e) {
+        vscode.window.showErrorMessage(e.message);
+        return;
+    }
+    if (!result.decoded.length) {
+        vscode.window.showErrorMessage(`No function in this file or its includes has the selector 0x${result.selector} and matching arguments`);
+        return;
+    }
+    outputContentToSideEditor(formatDecoded(result));
 }
 
+
+/**Encode Calldata
+ *
+ * Pick one of the functions of the document and its includes, then prompt for each
+ * argument and copy the encoded call to the clipboard
+ *
+ * @param {vscode.TextDocument} document
+ */
+async function promptEncodeCalldata(document) {
+    const functions = calldataFunctions(getDocumentProject(document));
+    if (!functions.length) {
+        vscode.window.showErrorMessage("No functions are defined in this file or its includes");
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+        functions.map(fn => ({ label: fn.signature, description: `0x${fn.selector}`, fn })),
+        { placeHolder: "Select the function to call" }
+    );
+    if (!picked) return;
+
+    const args = [];
+    for (const [i, param] of picked.fn.params.entries()) {
+        const composite = param.type.endsWith("]") || param.type.startsWith("tuple");
+        const text = await vscode.window.showInputBox({
+            title: `${picked.fn.signature} (${i + 1}/${picked.fn.params.length})`,
+            prompt: `${param.name || `arg${i}`} (${param.type})`,
+            placeHolder: composite ? "JSON, tuples as arrays of their members e.g. [\"0x...\", [1, 2]]" : undefined,
+            ignoreFocusOut: true,
+            validateInput: (value) => argumentError(param, value)
+        });
+        if (text === undefined) return;
+        args.push([param, parseArgument(param, text)]);
+    }
+
+    const calldata = await encodeCalldata([picked.fn.selector], args);
+    if (!calldata) return;
+
+    await vscode.env.clipboard.writeText(calldata);
+    vscode.window.showInformationMessage(`Copied the calldata of ${picked.fn.signature} to the clipboard`);
+}
+
+
+/**Copy Selector
+ * 
+ * @param {String} selector 
+ */
+async function copySelector(selector) {
+    await vscode.env.clipboard.writeText(selector);
+    vscode.window.showInformationMessage(`Copied ${selector} to the clipboard`);
+}
+
+
 /**Output Content to Side Editor
  * 
  * Output the result of a command to a new vscode editor window
@@ -88,5 +476,15 @@ function outputContentToSideEditor(content){
 
 module.exports = {
     generateSwitchTable,
-    generateEventSignatures
+    generateSignatureConstants,
+    generateStackComments,
+    showMacroExpansion,
+    showMacroGasEstimate,
+    copySelector,
+    exportAbi,
+    exportStorageLayout,
+    convertSolidityInterface,
+    importAbi,
+    showDecodedCalldata,
+    promptEncodeCalldata
 }
\ No newline at end of file
@@ -0,0 +1,204 @@
+const vscode = require("vscode");
+const asmArr = require("../hover/asm.json");
+const { getBodySymbols, definitionDetail, BUILTIN_ARGUMENT_KINDS } = require("../symbols");
+const { getDocumentProject } = require("../project/documents");
+const { BUILTIN_FUNCTIONS } = require("../builtins");
+
+// Node type of the definitions each builtin argument kind completes to
+const ARGUMENT_DEFINITION_TYPES = {
+    function: "Function",
+    event: "Event",
+    error: "Error",
+    table: "Table",
+    macro: "Macro"
+};
+
+const COMPLETION_KINDS = {
+    Macro: vscode.CompletionItemKind.Function,
+    Constant: vscode.CompletionItemKind.Constant,
+    Function: vscode.CompletionItemKind.Interface,
+    Event: vscode.CompletionItemKind.Event,
+    Error: vscode.CompletionItemKind.Struct,
+    Table: vscode.CompletionItemKind.Enum
+};
+
+/**Enclosing Body
+ *
+ * The macro or table whose body contains `offset`. A body that has not been closed
+ * yet extends until the next definition.
+ *
+ * @param {Object} program
+ * @param {String} source
+ * @param {Number} offset
+ * @returns {Object|null}
+ */
+function enclosingBody(program, source, offset) {
+    const definition = [...program.definitions].reverse().find(candidate => candidate.range.start < offset);
+    if (!definition || !definition.bodyRange || offset < definition.bodyRange.start) return null;
+
+    const closed = source[definition.bodyRange.end] === "}";
+    return !closed || offset <= definition.bodyRange.end ? definition : null;
+}
+
+/**Get Completion Context
+ *
+ * Work out what can be typed at `offset`
+ *
+ * @param {Object} program
+ * @param {String} source
+ * @param {Number} offset
+ * @returns {{kind: String, scope: Object, builtin: String}|null}
+ */
+function getCompletionContext(program, source, offset) {
+    const linePrefix = source.slice(source.lastIndexOf("\n", offset - 1) + 1, offset);
+    if (/#define\s+constant\s+\w+\s*=\s*\w*$/.test(linePrefix)) return { kind: "constantValue", scope: null, builtin: null };
+
+    const scope = enclosingBody(program, source, offset);
+    if (!scope) return null;
+
+    const call = /(\w+)\(\s*\w*$/.exec(linePrefix);
+    if (call && BUILTIN_ARGUMENT_KINDS[call[1]]) return { kind: "builtinArgument", scope, builtin: call[1] };
+    if (/<\w*$/.test(linePrefix)) return { kind: "argument", scope, builtin: null };
+    if (/\[\w*$/.test(linePrefix)) return { kind: "constant", scope, builtin: null };
+    return { kind: "body", scope, builtin: null };
+}
+
+/**Opcode Items
+ *
+ * @returns {Array<vscode.CompletionItem>}
+ */
+function opcodeItems() {
+    return Object.keys(asmArr).map(name => {
+        const snippet = asmArr[name];
+        const item = new vscode.CompletionItem(snippet.prefix, vscode.CompletionItemKind.Keyword);
+        item.detail = `gas: ${snippet.instr_gas} | stack: [${snippet.instr_args.join(", ")}] → [${snippet.instr_returns.join(", ")}]`;
+        item.documentation = new vscode.MarkdownString(
+            `${snippet.description}\n\npops ${snippet.instr_pops}, pushes ${snippet.instr_pushes}`
+        );
+        return item;
+    });
+}
+
+/**Builtin Items
+ *
+ * @returns {Array<vscode.CompletionItem>}
+ */
+function builtinItems() {
+    return Object.keys(BUILTIN_FUNCTIONS)
+        .filter(name => name !== "FREE_STORAGE_POINTER")
+        .map(name => {
+            const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Function);
+            item.insertText = new vscode.SnippetString(`${name}($1)`);
+            item.detail = `${name}(${BUILTIN_FUNCTIONS[name].params.join(", ")})`;
+            item.documentation = BUILTIN_FUNCTIONS[name].description;
+            item.command = { command: "editor.action.triggerSuggest", title: "Suggest" };
+            return item;
+        });
+}
+
+/**Definition Item
+ *
+ * @param {Object} file The project file defining it
+ * @param {Object} definition
+ * @param {String|vscode.SnippetString} insertText
+ * @returns {vscode.CompletionItem}
+ */
+function definitionItem(file, definition, insertText) {
+    const item = new vscode.CompletionItem(definition.name, COMPLETION_KINDS[definition.type]);
+    item.insertText = insertText;
+    item.detail = definitionDetail(definition, file.source);
+    if (definition.natspec) item.documentation = new vscode.MarkdownString(definition.natspec);
+    return item;
+}
+
+/**Macro Invocation Snippet
+ *
+ * @param {Object} macro
+ * @returns {vscode.SnippetString}
+ */
+function macroInvocationSnippet(macro) {
+    const args = macro.args.map((arg, i) => `\${${i + 1}:${arg.name}}`).join(", ");
+    return new vscode.SnippetString(`${macro.name}(${args})`);
+}
+
+/**Scope Items
+ *
+ * The arguments or jump labels visible inside a macro body
+ *
+ * @param {Object} scope
+ * @param {String} kind "argument" or "label"
+ * @param {Function} insertText
+ * @returns {Array<vscode.CompletionItem>}
+ */
+function scopeItems(scope, kind, insertText) {
+    const names = new Set(getBodySymbols(scope)
+        .filter(symbol => symbol.kind === kind && symbol.isDefinition)
+        .map(symbol => symbol.name));
+
+    return [...names].map(name => {
+        const item = new vscode.CompletionItem(name, kind === "argument" ? vscode.CompletionItemKind.Variable : vscode.CompletionItemKind.Reference);
+        item.insertText = insertText(name);
+        item.detail = kind === "argument" ? `${scope.name} argument` : "jump label";
+        return item;
+    });
+}
+
+/**Provide Completion Handler
+ *
+ * Offer opcodes, macros and constants visible through includes, the current macro's
+ * arguments and labels, builtins and the definitions accepted by each builtin
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @param {vscode.CancellationToken} token
+ * @returns {Array<vscode.CompletionItem>|undefined}
+ */
+function provideCompletionHandler(document, position, token) {
+    const project = getDocumentProject(document);
+    const file = project.files.get(document.uri.fsPath);
+    if (!file || token.isCancellationRequested) return;
+
+    const context = getCompletionContext(file.program, file.source, document.offsetAt(position));
+    if (!context) return;
+
+    const definitions = (type) => [...project.files.values()].flatMap(projectFile =>
+        projectFile.program.definitions
+            .filter(definition => definition.type === type)
+            .map(definition => ({ file: projectFile, definition }))
+    );
+
+    switch (context.kind) {
+        case "constantValue": {
+            const item = new vscode.CompletionItem("FREE_STORAGE_POINTER()", vscode.CompletionItemKind.Function);
+            item.documentation = BUILTIN_FUNCTIONS.FREE_STORAGE_POINTER.description;
+            return [item];
+        }
+        case "builtinArgument": {
+            const type = ARGUMENT_DEFINITION_TYPES[BUILTIN_ARGUMENT_KINDS[context.builtin]];
+            return definitions(type).map(({ file, definition }) => definitionItem(file, definition, definition.name));
+        }
+        case "argument":
+            return context.scope.type === "Macro" ? scopeItems(context.scope, "argument", name => name) : [];
+        case "constant":
+            return definitions("Constant").map(({ file, definition }) => definitionItem(file, definition, definition.name));
+    }
+
+    // Jump tables only list labels
+    if (context.scope.type === "Table") {
+        return definitions("Macro").flatMap(({ definition }) => scopeItems(definition, "label", name => name));
+    }
+
+    return [
+        ...opcodeItems(),
+        ...builtinItems(),
+        ...definitions("Macro").map(({ file, definition }) => definitionItem(file, definition, macroInvocationSnippet(definition))),
+        ...definitions("Constant").map(({ file, definition }) => definitionItem(file, definition, `[${definition.name}]`)),
+        ...scopeItems(context.scope, "argument", name => `<${name}>`),
+        ...scopeItems(context.scope, "label", name => name)
+    ];
+}
+
+module.exports = {
+    provideCompletionHandler,
+    getCompletionContext
+}
@@ -2,6 +2,7 @@ const vscode = require("vscode");
 const commandExists = require("command-exists");
 const fs = require("fs");
 const { execSync, spawnSync } = require("child_process");
+const { parse, removeNodes } = require("../parser");
 
 
 /**Deploy Contract
@@ -116,15 +117,34 @@ function resetStateRepo(statePath, cwd) {
 * 
 * @param {String} sourceDirectory The location in which the users workspace is - where the child processes should be executed
 * @param {String} fileName 
+* @param {Boolean} runtime Output the runtime bytecode rather than the creation bytecode
 * @returns 
 */
-function compile(sourceDirectory, fileName) {
+function compile(sourceDirectory, fileName, runtime = false) {
     console.log("Compiling contract...")
 
     // having issues with the function level debugger
-    const command = `huffc ${fileName} --bytecode`
-    const bytecode = execSync(command, { cwd: sourceDirectory });
-    return `0x${bytecode.toString()}`;
+    const command = `huffc ${fileName} ${runtime ? "--bin-runtime" : "--bytecode"}`
+    const bytecode = runHuffc(command, sourceDirectory);
+    return `0x${bytecode.toString().trim()}`;
+}
+
+
+/**Run Huffc
+ * 
+ * Run a huffc command, if huffc is not found then try again with huffup's 
+ * install location added to the path
+ * 
+ * @param {String} command 
+ * @param {String} cwd 
+ * @returns {Buffer|String} The output of huffc
+ */
+function runHuffc(command, cwd) {
+    try {
+        return execSync(command, { cwd: cwd });
+    } catch (e) {
+        return executeCommand(cwd, command);
+    }
 }
 
 
@@ -144,20 +164,15 @@ function compileFromFile(source, filename, cwd) {
     const command = `huffc ${filename} --bytecode`
     let bytecode;
 
-    // if huffc is not found, then try add huffup to path
     try {
-        bytecode = execSync(command, { cwd: cwd });
+        bytecode = runHuffc(command, cwd);
     } catch (e) {
-        try {
-            bytecode = executeCommand(cwd, command);
-        } catch (e) {
-            console.log("huffc not found");
-            registerError(
-                e,
-                "Huffc was not found in the system path, add it to $PATH or install here: https://github.com/huff-language/huff-rs"
-            )
-            return false;
-        }
+        console.log("huffc not found");
+        registerError(
+            e,
+            "Huffc was not found in the system path, add it to $PATH or install here: https://github.com/huff-language/huff-rs"
+        )
+        return false;
     }
 
     // remove temp file
@@ -331,6 +346,23 @@ const formatEvenBytes = (bytes) => {
     return bytes;
 };
 
+/**Strip for flattening
+ * 
+ * Remove the include statements, and optionally the MAIN macro, from a huff file so 
+ * that it can be concatenated with the other files of the contract
+ * 
+ * @param {String} source 
+ * @param {boolean} removeMain 
+ * @returns {String}
+ */
+function stripForFlattening(source, removeMain = true) {
+    const program = parse(source);
+    const main = removeMain
+        ? program.definitions.filter(definition => definition.type === "Macro" && definition.name === "MAIN")
+        : [];
+    return removeNodes(source, [...program.includes, ...main]);
+}
+
 
 module.exports = {
     deployContract,
@@ -345,5 +377,6 @@ module.exports = {
     checkInstallations,
     craftTerminalCommand,
     purgeCache,
-    formatEvenBytes
+    formatEvenBytes,
+    stripForFlattening
 }
\ No newline at end of file
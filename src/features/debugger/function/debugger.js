@@ -1,6 +1,5 @@
 const fs = require("fs");
 const createKeccakHash = require("keccak");
-const path = require("path");
 const vscode = require("vscode");
 
 // TODO: use a slimmer abicoder
@@ -16,8 +15,10 @@ const {
   checkInstallations,
   purgeCache,
   craftTerminalCommand,
+  stripForFlattening,
 } = require("../debuggerUtils");
 const { isWsl, wslMountedDriveRegex } = require("../../../settings");
+const { resolveIncludePath } = require("../../project");
 
 /**Start function debugger
  *
@@ -93,30 +94,26 @@ async function startDebugger(
  * @returns
  */
 function flattenFile(cwd, currentFile, imports) {
-  // Get relative path of files
-  const dirPath = currentFile.split("/").slice(0, -1).join("/");
-
   // Get absolute paths
   const paths = imports.map((importPath) =>
-    path.join(
-      `${cwd}/${dirPath}`,
+    resolveIncludePath(
+      `${cwd}/${currentFile}`,
       importPath.replace(/#include\s?"/, "").replace('"', "")
     )
   );
 
   // Read file contents and remove other instances of main
-  // main regex
-  const mainRegex =
-    /#define\s+macro\s+MAIN\s?\((?<args>[^\)]*)\)\s?=\s?takes\s?\((?<takes>[\d])\)\s?returns\s?\((?<returns>[\d])\)\s?{(?<body>[\s\S]*?(?=}))}/gms;
   const files = [
-    fs.readFileSync(cwd + "/" + currentFile).toString(),
+    stripForFlattening(
+      fs.readFileSync(cwd + "/" + currentFile).toString(),
+      false
+    ),
     ...paths.map((path) => {
-      return fs.readFileSync(path).toString().replace(mainRegex, "");
+      return stripForFlattening(fs.readFileSync(path).toString());
     }),
   ];
 
-  // Flatten and remove imports
-  return `${files.join("\n")}`.replace(/#include\s".*"/gm, "");
+  return files.join("\n");
 }
 
 /**Run debugger
@@ -182,10 +179,11 @@ async function encodeCalldata(functionSelector, argsObject) {
 
     return `0x${functionSelector[0]}${encoded.slice(2, encoded.length)}`;
   } catch (e) {
-    registerError(e, `Compilation failed\nSee\n${e}`);
+    registerError(e, `Could not encode calldata\nSee\n${e}`);
   }
 }
 
 module.exports = {
   startDebugger,
+  encodeCalldata,
 };
@@ -18,6 +18,8 @@ class DebuggerViewProvider {
   constructor(extensionUri) {
     this._extensionURI = extensionUri;
     this._view = null;
+    this._ready = false;
+    this._pendingSelection = null;
   }
 
   resolveWebviewView(webviewView, context, _token) {
@@ -30,9 +32,19 @@ class DebuggerViewProvider {
     // Set the webview's html - written inline
     webviewView.webview.html = this.getHtmlForWebView(webviewView.webview);
 
+    // The webview is reloaded whenever it is shown again
+    webviewView.onDidChangeVisibility(() => {
+      if (!webviewView.visible) this._ready = false;
+    });
+
     // Handle messages from the webview
     webviewView.webview.onDidReceiveMessage((data) => {
       switch (data.type) {
+        case "ready": {
+          this._ready = true;
+          this.sendPendingSelection();
+          break;
+        }
         case "loadDocument": {
           const functionSignatures = getFunctionSignaturesAndArgs(
             vscode.window.activeTextEditor?.document.getText()
@@ -71,6 +83,33 @@ class DebuggerViewProvider {
     this._view = webviewView;
   }
 
+  /**Debug Function
+   *
+   * Open the function debugger with a function of `document` selected, e.g. from a code lens.
+   * The selection is sent once the webview has loaded.
+   *
+   * @param {vscode.TextDocument} document
+   * @param {String} signature e.g. transfer(address,uint256)
+   */
+  debugFunction(document, signature) {
+    const { sighashes } = getFunctionSignaturesAndArgs(document.getText());
+    const selected = Object.entries(sighashes).find(([, value]) => value.fnSig === signature);
+    this._pendingSelection = { sighashes, selected };
+
+    vscode.commands.executeCommand(`${DebuggerViewProvider.viewType}.focus`);
+    if (this._ready) this.sendPendingSelection();
+  }
+
+  sendPendingSelection() {
+    if (!this._view || !this._pendingSelection) return;
+    this._view.webview.postMessage({
+      type: "receiveContractInterface",
+      data: this._pendingSelection.sighashes,
+      selected: this._pendingSelection.selected,
+    });
+    this._pendingSelection = null;
+  }
+
   /**Add Options to function selector
    *
    * Send function selectors back to the web view after they have been scraped from the file
@@ -1,7 +1,6 @@
 const createKeccakHash = require("keccak");
 const fs = require("fs");
 const { hevmConfig } = require("../../../options");
-const path = require("path");
 const {
   deployContract,
   runInUserTerminal,
@@ -11,10 +10,13 @@ const {
   checkInstallations,
   formatEvenBytes,
   craftTerminalCommand,
+  stripForFlattening,
 } = require("../debuggerUtils");
+const { parse } = require("../../parser");
 
 const vscode = require("vscode");
 const { isWsl, wslMountedDriveRegex } = require("../../../settings");
+const { resolveIncludePath } = require("../../project");
 
 /**Start Macro Debugger
  *
@@ -106,24 +108,17 @@ async function startMacroDebugger(
  * @returns
  */
 function createCompiledMacro(cwd, macro, argsObject, currentFile, imports) {
-  // get relative path, remove "/:c" appended on windows routes
-  const dirPath = currentFile.split("/").slice(0, -1).join("/");
-
   // flatten imports
   const paths = imports.map((importPath) =>
-    path.join(
-      `${cwd}/${dirPath}`,
+    resolveIncludePath(
+      `${cwd}/${currentFile}`,
       importPath.replace(/#include\s?"/, "").replace('"', "")
     )
   );
   paths.push(cwd + "/" + currentFile);
-  const files = paths.map(
-    (path) =>
-      fs
-        .readFileSync(path)
-        .toString()
-        .replace(/#define\s?macro\s?MAIN[\s\S]*?{[\s\S]*?}/gms, "") // remove main
-        .replace(/#include\s".*"/gm, "") // remove include
+  // remove main and includes
+  const files = paths.map((path) =>
+    stripForFlattening(fs.readFileSync(path).toString())
   );
 
   // replace jump labels
@@ -201,9 +196,12 @@ function overrideStorage(macro, config) {
   // write a temp file that will set storage slots
   const { stateValues } = config;
 
-  const constructorRegex =
-    /#define\s+macro\s+CONSTRUCTOR\s?\((?<args>[^\)]*)\)\s?=\s?takes\s?\((?<takes>[\d])\)\s?returns\s?\((?<returns>[\d])\)\s?{(?<body>[\s\S]*?(?=}))/gms;
-  const constructorMatch = constructorRegex.exec(macro);
+  const constructor = parse(macro).definitions.find(
+    (definition) =>
+      definition.type === "Macro" &&
+      definition.name === "CONSTRUCTOR" &&
+      definition.bodyRange
+  );
 
   // get string of sstore overrides
   let overrides = "";
@@ -212,12 +210,10 @@ function overrideStorage(macro, config) {
   }
 
   // if there is a constructor
-  if (constructorMatch) {
+  if (constructor) {
     // append overrides to the end of the constructor macro
-    return macro.replace(
-      constructorRegex,
-      constructorMatch[0] + "\n\t" + overrides
-    );
+    const end = constructor.bodyRange.end;
+    return macro.slice(0, end) + "\n\t" + overrides + macro.slice(end);
   }
 
   // otherwise create a constructor at the end
@@ -21,6 +21,8 @@ class MacroDebuggerViewProvider {
     this._view = null;
     this._macros = null;
     this._currentFile = null;
+    this._ready = false;
+    this._pendingMacro = null;
   }
 
   /**
@@ -57,8 +59,18 @@ class MacroDebuggerViewProvider {
 
     webviewView.webview.html = this.getHtmlForWebView(webviewView.webview);
 
+    // The webview is reloaded whenever it is shown again
+    webviewView.onDidChangeVisibility(() => {
+      if (!webviewView.visible) this._ready = false;
+    });
+
     webviewView.webview.onDidReceiveMessage((data) => {
       switch (data.type) {
+        case "ready": {
+          this._ready = true;
+          this.sendPendingMacro();
+          break;
+        }
         case "loadMacros": {
           const macros = getMacros(
             vscode.window.activeTextEditor?.document.getText()
@@ -125,6 +137,34 @@ class MacroDebuggerViewProvider {
     this._view = webviewView;
   }
 
+  /**Debug Macro
+   *
+   * Open the macro debugger with a macro of `document` selected, e.g. from a code lens.
+   * The selection is sent once the webview has loaded.
+   *
+   * @param {vscode.TextDocument} document
+   * @param {String} macroName
+   */
+  debugMacro(document, macroName) {
+    this._currentFile = document.uri.path;
+    this._macros = getMacros(document.getText());
+    this._pendingMacro = macroName;
+
+    vscode.commands.executeCommand(`${MacroDebuggerViewProvider.viewType}.focus`);
+    if (this._ready) this.sendPendingMacro();
+  }
+
+  sendPendingMacro() {
+    if (!this._view || !this._pendingMacro) return;
+    this._view.webview.postMessage({
+      type: "receiveMacros",
+      data: this._macros,
+      currentFile: this._currentFile,
+      selected: this._pendingMacro,
+    });
+    this._pendingMacro = null;
+  }
+
   addMacrosToOptions(macros, currentFile) {
     if (this._view) {
       this._view.show?.(true);
@@ -0,0 +1,121 @@
+const { getDefinitions, formatSignature } = require("../parser");
+const { loadProject } = require("../project");
+const { hashSignature } = require("../regexUtils");
+
+/**Parse Selector Database
+ *
+ * Read a local database of known dangerous selectors. It is either an object mapping
+ * selectors to a description, or a list of descriptions, or a list of function signatures.
+ *
+ * @param {*} json e.g. `{"0x3659cfe6": "upgradeTo(address), proxy upgrades"}` or `["upgradeTo(address)"]`
+ * @returns {Map<String, Array<String>>} selector without 0x to its descriptions
+ */
+function parseSelectorDatabase(json) {
+    const known = new Map();
+    const add = (selector, description) => {
+        const key = selector.toLowerCase().replace(/^0x/, "");
+        if (!/^[0-9a-f]{8}$/.test(key)) throw new Error(`"${selector}" is not a 4 byte selector`);
+        if (!known.has(key)) known.set(key, []);
+        known.get(key).push(description);
+    };
+
+    if (Array.isArray(json)) {
+        for (const signature of json) add(hashSignature(signature.replace(/\s/g, ""), 8), signature);
+    } else if (json && typeof json === "object") {
+        for (const [selector, descriptions] of Object.entries(json)) {
+            for (const description of [].concat(descriptions)) add(selector, String(description));
+        }
+    } else {
+        throw new Error("Expected an object of selectors or a list of signatures");
+    }
+    return known;
+}
+
+/**Check Selector Collisions
+ *
+ * Functions of one contract whose selectors clash, and functions whose selector is
+ * listed in the database of known dangerous selectors
+ *
+ * @param {Object} project A contract, see loadProject
+ * @param {Map<String, Array<String>>} known See parseSelectorDatabase
+ * @returns {Array<Object>} problems with the `file` they belong to
+ */
+function checkSelectorCollisions(project, known = new Map()) {
+    const functions = [];
+    for (const file of project.files.values()) {
+        for (const definition of getDefinitions(file.program, "Function")) {
+            const signature = formatSignature(definition);
+            functions.push({ file, definition, signature, selector: hashSignature(signature, 8) });
+        }
+    }
+
+    const problems = [];
+    for (const fn of functions) {
+        const clashes = [...new Set(functions
+            .filter(other => other.selector === fn.selector && other.signature !== fn.signature)
+            .map(other => other.signature))];
+        if (clashes.length) {
+            problems.push({
+                file: fn.file,
+                message: `Selector 0x${fn.selector} of ${fn.signature} collides with ${clashes.join(", ")}`,
+                range: fn.definition.nameRange,
+                severity: "error"
+            });
+        }
+
+        if (known.has(fn.selector)) {
+            problems.push({
+                file: fn.file,
+                message: `Selector 0x${fn.selector} of ${fn.signature} is a known dangerous selector: ${known.get(fn.selector).join(", ")}`,
+                range: fn.definition.nameRange,
+                severity: "warning"
+            });
+        }
+    }
+    return problems;
+}
+
+/**Scan Selector Collisions
+ *
+ * Check every contract among `filePaths`, that is every file no other file includes,
+ * together with everything it includes, and one file of every include cycle no such
+ * file reaches
+ *
+ * @param {Array<String>} filePaths Usually every huff file in the workspace
+ * @param {Function} readFile
+ * @param {Map<String, Array<String>>} known See parseSelectorDatabase
+ * @returns {Map<String, Array<Object>>} problems keyed by file path, each reported once
+ */
+function scanSelectorCollisions(filePaths, readFile, known = new Map()) {
+    const projects = filePaths.map(filePath => loadProject(filePath, readFile));
+    const included = new Set(projects.flatMap(project => [...project.files.keys()].filter(filePath => filePath !== project.root)));
+    const contracts = projects.filter(project => !included.has(project.root));
+
+    // Files including each other have no root, check one file of each such cycle as its contract
+    const covered = new Set(contracts.flatMap(project => [...project.files.keys()]));
+    for (const project of projects) {
+        if (covered.has(project.root)) continue;
+        contracts.push(project);
+        for (const filePath of project.files.keys()) covered.add(filePath);
+    }
+
+    const problems = new Map();
+    const seen = new Set();
+    for (const project of contracts) {
+        for (const { file, ...problem } of checkSelectorCollisions(project, known)) {
+            const key = `${file.path}:${problem.range.start}:${problem.message}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            if (!problems.has(file.path)) problems.set(file.path, []);
+            problems.get(file.path).push({ ...problem, source: file.source });
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    parseSelectorDatabase,
+    checkSelectorCollisions,
+    scanSelectorCollisions
+}
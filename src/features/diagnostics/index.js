@@ -0,0 +1,201 @@
+const vscode = require("vscode");
+const path = require("path");
+const { getDocumentProject, getLinkedFiles, readDocumentOrFile, toRange } = require("../project/documents");
+const { checkSymbols } = require("./semantic");
+const { parseSelectorDatabase, scanSelectorCollisions } = require("./collisions");
+const { checkFileStack, createStackContext } = require("../stack");
+const { checkStackComments } = require("../stack/comments");
+const { LANGUAGE_ID, extensionConfig } = require("../../settings");
+
+// Delay before re-checking a document after an edit
+const UPDATE_DELAY = 300;
+
+// Delay before re-scanning the workspace, saves and file events often come in bursts
+const SCAN_DELAY = 1000;
+
+const SEVERITIES = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning
+};
+
+/**Compute Diagnostics
+ *
+ * Run every static check over a document, resolving symbols through its include chain
+ * and the files that include it
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<Array<vscode.Diagnostic>>}
+ */
+async function computeDiagnostics(document) {
+    const project = getDocumentProject(document);
+    const file = project.files.get(document.uri.fsPath);
+    if (!file) return [];
+
+    const linkedFiles = await getLinkedFiles([file.path]);
+    const problems = [...checkSymbols(project, file, linkedFiles), ...checkFileStack(project, file)];
+    if (extensionConfig().get("stackComments.verify")) {
+        problems.push(...checkStackComments(file.program, createStackContext(project)));
+    }
+
+    return problems.map(problem => toDiagnostic(file.source, problem));
+}
+
+/**To Diagnostic
+ *
+ * @param {String} source
+ * @param {Object} problem
+ * @returns {vscode.Diagnostic}
+ */
+function toDiagnostic(source, problem) {
+    const diagnostic = new vscode.Diagnostic(
+        toRange(source, problem.range),
+        problem.message,
+        SEVERITIES[problem.severity] ?? vscode.DiagnosticSeverity.Warning
+    );
+    if (problem.unused) diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+    diagnostic.source = LANGUAGE_ID;
+    return diagnostic;
+}
+
+/**Register Diagnostics
+ *
+ * Keep a diagnostic collection up to date for every open huff document
+ *
+ * @param {vscode.ExtensionContext} context
+ * @returns {vscode.DiagnosticCollection}
+ */
+function registerDiagnostics(context) {
+    const collection = vscode.languages.createDiagnosticCollection(LANGUAGE_ID);
+    const pending = new Map();
+
+    const refresh = async (document) => {
+        if (document.languageId !== LANGUAGE_ID) return;
+
+        // Drop results for a document that was edited or closed in the meantime
+        const version = document.version;
+        const diagnostics = await computeDiagnostics(document);
+        if (document.version === version && !document.isClosed) collection.set(document.uri, diagnostics);
+    };
+    // Failures are shown once until an update succeeds again, not on every keystroke
+    let failing = false;
+    const update = (document) => refresh(document).then(() => { failing = false; }, e => {
+        if (failing) return;
+        failing = true;
+        vscode.window.showErrorMessage(`Could not check ${document.uri.fsPath}: ${e.message}`);
+    });
+
+    const scheduleUpdate = (document) => {
+        const key = document.uri.toString();
+        clearTimeout(pending.get(key));
+        pending.set(key, setTimeout(() => {
+            pending.delete(key);
+            update(document);
+        }, UPDATE_DELAY));
+    };
+
+    vscode.workspace.textDocuments.forEach(update);
+    context.subscriptions.push(
+        collection,
+        vscode.workspace.onDidOpenTextDocument(update),
+        vscode.workspace.onDidSaveTextDocument(update),
+        vscode.workspace.onDidChangeTextDocument(event => scheduleUpdate(event.document)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(LANGUAGE_ID)) vscode.workspace.textDocuments.forEach(update);
+        }),
+        vscode.workspace.onDidCloseTextDocument(document => {
+            clearTimeout(pending.get(document.uri.toString()));
+            pending.delete(document.uri.toString());
+            collection.delete(document.uri);
+        })
+    );
+    return collection;
+}
+
+/**Selector Database Path
+ *
+ * @returns {String|null} Absolute path of the configured database, relative paths start at the first workspace folder
+ */
+function selectorDatabasePath() {
+    const configured = extensionConfig().get("selectorCollisions.database", "");
+    if (!configured) return null;
+
+    const [folder] = vscode.workspace.workspaceFolders || [];
+    return folder ? path.resolve(folder.uri.fsPath, configured) : path.resolve(configured);
+}
+
+/**Load Selector Database
+ *
+ * @returns {Promise<Map<String, Array<String>>>} empty when no database is configured or it cannot be read
+ */
+async function loadSelectorDatabase() {
+    const databasePath = selectorDatabasePath();
+    if (!databasePath) return new Map();
+
+    try {
+        const content = await vscode.workspace.fs.readFile(vscode.Uri.file(databasePath));
+        return parseSelectorDatabase(JSON.parse(Buffer.from(content).toString()));
+    } catch (e) {
+        vscode.window.showWarningMessage(`Could not read the selector database ${databasePath}: ${e.message}`);
+        return new Map();
+    }
+}
+
+/**Register Selector Scan
+ *
+ * Keep the selector collisions of every contract in the workspace in the Problems panel
+ *
+ * @param {vscode.ExtensionContext} context
+ * @returns {Function} Runs a scan now, resolves to the number of problems found
+ */
+function registerSelectorScan(context) {
+    const collection = vscode.languages.createDiagnosticCollection(`${LANGUAGE_ID}-selectors`);
+    let pending = null;
+
+    const scan = async () => {
+        const uris = await vscode.workspace.findFiles("**/*.huff", "**/node_modules/**");
+        const known = await loadSelectorDatabase();
+        const problems = scanSelectorCollisions(uris.map(uri => uri.fsPath), readDocumentOrFile, known);
+
+        collection.clear();
+        let count = 0;
+        for (const [filePath, fileProblems] of problems) {
+            collection.set(vscode.Uri.file(filePath), fileProblems.map(problem => toDiagnostic(problem.source, problem)));
+            count += fileProblems.length;
+        }
+        return count;
+    };
+
+    // Failures are shown once until a scan succeeds again
+    let failing = false;
+    const backgroundScan = () => scan().then(() => { failing = false; }, e => {
+        if (failing) return;
+        failing = true;
+        vscode.window.showErrorMessage(`Could not scan the workspace for selector collisions: ${e.message}`);
+    });
+    const scheduleScan = () => {
+        clearTimeout(pending);
+        pending = setTimeout(backgroundScan, SCAN_DELAY);
+    };
+
+    const watcher = vscode.workspace.createFileSystemWatcher("**/*.huff");
+    backgroundScan();
+    context.subscriptions.push(
+        collection,
+        watcher,
+        watcher.onDidCreate(scheduleScan),
+        watcher.onDidDelete(scheduleScan),
+        vscode.workspace.onDidSaveTextDocument(document => {
+            if (document.languageId === LANGUAGE_ID || document.uri.fsPath === selectorDatabasePath()) scheduleScan();
+        }),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(`${LANGUAGE_ID}.selectorCollisions`)) scheduleScan();
+        }),
+        { dispose: () => clearTimeout(pending) }
+    );
+    return scan;
+}
+
+module.exports = {
+    registerDiagnostics,
+    registerSelectorScan
+}
@@ -0,0 +1,181 @@
+const { BUILTINS, formatSignature } = require("../parser");
+const { getBodySymbols, resolveDefinitions, DEFINITION_KINDS } = require("../symbols");
+
+// Definitions that are never referenced from huff source
+const ENTRY_POINTS = ["MAIN", "CONSTRUCTOR"];
+
+// Symbol kinds that must resolve to a definition
+const RESOLVED_KINDS = ["macro", "constant", "function", "event", "error", "table", "label", "argument"];
+
+const KIND_NAMES = {
+    macro: "macro",
+    constant: "constant",
+    function: "function",
+    event: "event",
+    error: "error",
+    table: "table",
+    argument: "macro argument"
+};
+
+/**Definition Key
+ *
+ * Interface definitions may be overloaded, so they are only duplicates when their
+ * signatures match
+ *
+ * @param {Object} definition
+ * @returns {String}
+ */
+function definitionKey(definition) {
+    return ["Function", "Event", "Error"].includes(definition.type)
+        ? `${definition.type}:${formatSignature(definition)}`
+        : `${definition.type}:${definition.name}`;
+}
+
+/**Check Includes
+ *
+ * @param {Object} project
+ * @param {Object} file
+ * @returns {Array<Object>}
+ */
+function checkIncludes(project, file) {
+    return project.missing
+        .filter(missing => missing.path === file.path)
+        .map(({ include }) => ({
+            message: `Cannot find included file "${include.path}"`,
+            range: include.pathRange,
+            severity: "error"
+        }));
+}
+
+/**Check Duplicates
+ *
+ * Definitions in `file` that are defined again anywhere in the compiled project, and
+ * jump labels defined twice in one macro
+ *
+ * @param {Object} project
+ * @param {Object} file
+ * @returns {Array<Object>}
+ */
+function checkDuplicates(project, file) {
+    const problems = [];
+    const seen = new Map();
+    for (const projectFile of project.files.values()) {
+        for (const definition of projectFile.program.definitions) {
+            const key = definitionKey(definition);
+            if (!seen.has(key)) seen.set(key, []);
+            seen.get(key).push(definition);
+        }
+    }
+
+    for (const definition of file.program.definitions) {
+        if (seen.get(definitionKey(definition)).length > 1) {
+            problems.push({
+                message: `Duplicate ${KIND_NAMES[DEFINITION_KINDS[definition.type]]} definition "${definition.name}"`,
+                range: definition.nameRange,
+                severity: "error"
+            });
+        }
+
+        if (definition.type !== "Macro") continue;
+        const labels = new Set();
+        for (const label of getBodySymbols(definition).filter(symbol => symbol.kind === "label" && symbol.isDefinition)) {
+            if (labels.has(label.name)) {
+                problems.push({ message: `Duplicate jump label "${label.name}" in ${definition.name}`, range: label.range, severity: "error" });
+            }
+            labels.add(label.name);
+        }
+    }
+    return problems;
+}
+
+/**Check Undefined
+ *
+ * Symbols used in `file` that do not resolve to a definition
+ *
+ * @param {Object} project Every file compiled together with `file`
+ * @param {Object} file
+ * @returns {Array<Object>}
+ */
+function checkUndefined(project, file) {
+    const problems = [];
+    for (const definition of file.program.definitions) {
+        for (const symbol of getBodySymbols(definition)) {
+            if (symbol.isDefinition) continue;
+
+            if (symbol.kind === "builtin" && !BUILTINS.includes(symbol.name)) {
+                problems.push({ message: `Unknown builtin "${symbol.name}"`, range: symbol.range, severity: "error" });
+            }
+            if (!RESOLVED_KINDS.includes(symbol.kind) || resolveDefinitions(project, file, symbol).length) continue;
+
+            const message = symbol.kind === "label"
+                ? `"${symbol.name}" is not an opcode or a defined jump label`
+                : `Undefined ${KIND_NAMES[symbol.kind]} "${symbol.name}"`;
+            problems.push({ message, range: symbol.range, severity: "error" });
+        }
+    }
+    return problems;
+}
+
+/**Check Unused
+ *
+ * Macros and constants of `file` that are not referenced by any file compiled with it.
+ * Skipped when none of those files has a MAIN macro, as libraries are only used by the
+ * contracts that include them.
+ *
+ * @param {Object} project Every file compiled together with `file`
+ * @param {Object} file
+ * @returns {Array<Object>}
+ */
+function checkUnused(project, file) {
+    const files = [...project.files.values()];
+    const hasMain = files.some(projectFile => projectFile.program.definitions.some(definition => definition.type === "Macro" && definition.name === "MAIN"));
+    if (!hasMain) return [];
+
+    const used = new Set();
+    for (const projectFile of files) {
+        for (const definition of projectFile.program.definitions) {
+            for (const symbol of getBodySymbols(definition)) {
+                if (!symbol.isDefinition) used.add(`${symbol.kind}:${symbol.name}`);
+            }
+        }
+    }
+
+    return file.program.definitions
+        .filter(definition =>
+            (definition.type === "Macro" && definition.kind !== "test" && !ENTRY_POINTS.includes(definition.name))
+            || definition.type === "Constant"
+        )
+        .filter(definition => !used.has(`${DEFINITION_KINDS[definition.type]}:${definition.name}`))
+        .map(definition => ({
+            message: `${definition.type === "Macro" ? "Macro" : "Constant"} "${definition.name}" is never used`,
+            range: definition.nameRange,
+            severity: "warning",
+            unused: true
+        }));
+}
+
+/**Check Symbols
+ *
+ * Report parse errors, missing includes, duplicate definitions, undefined symbols and
+ * unused macros and constants of a file
+ *
+ * @param {Object} project The include chain rooted at `file`, see loadProject
+ * @param {Object} file
+ * @param {Map<String, Object>} linkedFiles Every file compiled together with `file`, including
+ *  the files that #include it. Libraries may use symbols defined by the contracts including them.
+ * @returns {Array<{message: String, range: Object, severity: String, unused: Boolean}>}
+ */
+function checkSymbols(project, file, linkedFiles = project.files) {
+    const linked = { ...project, files: new Map([...project.files, ...linkedFiles]) };
+    return [
+        ...file.program.errors.map(error => ({ message: error.message, range: error.range, severity: "error" })),
+        ...checkIncludes(project, file),
+        ...checkDuplicates(project, file),
+        ...checkUndefined(linked, file),
+        ...checkUnused(linked, file)
+    ];
+}
+
+module.exports = {
+    checkSymbols
+}
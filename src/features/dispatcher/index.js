@@ -0,0 +1,237 @@
+const { getDefinitions, formatSignature } = require("../parser");
+const { hashSignature, toUpperSnakeCase } = require("../regexUtils");
+
+const STRATEGIES = ["linear", "binary", "jumptable"];
+
+// Binary search dispatchers compare linearly once a branch has this few selectors left
+const LINEAR_THRESHOLD = 4;
+
+// Largest jump table tried, in index bits
+const MAX_TABLE_BITS = 8;
+
+const TABLE_NAME = "DISPATCH_TABLE";
+const NO_MATCH = "no_match";
+const NOT_PAYABLE = "not_payable";
+const RECEIVE = "receive";
+
+/**Is Reserved Label
+ *
+ * Whether a function label would clash with the labels the generator writes itself:
+ * no_match, not_payable, receive, lower_<n> and check_<label> of each function label
+ *
+ * @param {String} label
+ * @param {Set<String>} labels Function labels handed out so far
+ * @returns {Boolean}
+ */
+function isReservedLabel(label, labels) {
+    return [NO_MATCH, NOT_PAYABLE, RECEIVE].includes(label)
+        || /^lower_\d+$/.test(label)
+        || labels.has(`check_${label}`)
+        || (label.startsWith("check_") && labels.has(label.slice("check_".length)));
+}
+
+/**Dispatcher Functions
+ *
+ * The functions a MAIN() dispatcher jumps to, one per selector. Each gets a jump label
+ * named after it, overloads and names the generator uses itself are numbered, and jumps
+ * into the macro named after it in upper snake case.
+ *
+ * @param {Object} program
+ * @returns {{functions: Array<Object>, collisions: Array<{hash: String, signatures: Array<String>}>}}
+ *  functions are `{name, signature, selector, payable, label, macro}`, `selector` without 0x
+ */
+function dispatcherFunctions(program) {
+    const functions = [];
+    const collisions = [];
+    const labels = new Set();
+
+    for (const definition of getDefinitions(program, "Function")) {
+        const signature = formatSignature(definition);
+        const selector = hashSignature(signature, 8);
+
+        const existing = functions.find(fn => fn.selector === selector);
+        if (existing) {
+            if (existing.signature !== signature) collisions.push({ hash: selector, signatures: [existing.signature, signature] });
+            continue;
+        }
+
+        let label = definition.name;
+        for (let i = 1; labels.has(label) || isReservedLabel(label, labels); i++) label = `${definition.name}_${i}`;
+        labels.add(label);
+
+        functions.push({
+            name: definition.name,
+            signature,
+            selector,
+            payable: definition.stateMutability === "payable",
+            label,
+            macro: toUpperSnakeCase(label)
+        });
+    }
+    return { functions, collisions };
+}
+
+/**Find Table Index
+ *
+ * Find the fewest bits of the selector that tell every function apart, so they can index
+ * a jump table: `(selector >> shift) & mask`
+ *
+ * @param {Array<Object>} functions
+ * @returns {{shift: Number, bits: Number}|null} null when no window of up to MAX_TABLE_BITS bits works
+ */
+function findTableIndex(functions) {
+    const minBits = Math.max(1, Math.ceil(Math.log2(functions.length)));
+    for (let bits = minBits; bits <= MAX_TABLE_BITS; bits++) {
+        for (let shift = 0; shift <= 32 - bits; shift++) {
+            const indices = new Set(functions.map(fn => tableIndex(fn.selector, shift, bits)));
+            if (indices.size === functions.length) return { shift, bits };
+        }
+    }
+    return null;
+}
+
+/**Table Index
+ *
+ * @param {String} selector
+ * @param {Number} shift
+ * @param {Number} bits
+ * @returns {Number}
+ */
+function tableIndex(selector, shift, bits) {
+    return (parseInt(selector, 16) >>> shift) & ((1 << bits) - 1);
+}
+
+// Column of the stack comments in generated code
+const COMMENT_COLUMN = 44;
+
+const hex = (value) => `0x${value.toString(16).padStart(2, "0")}`;
+const withComment = (code, comment) => `${code.padEnd(COMMENT_COLUMN)}// ${comment}`;
+
+/**Linear Dispatch
+ *
+ * @param {Array<Object>} functions
+ * @returns {Array<String>} lines
+ */
+function linearDispatch(functions) {
+    return functions.map(fn => `\tdup1 0x${fn.selector} eq ${fn.label} jumpi`);
+}
+
+/**Binary Dispatch
+ *
+ * Compare against the middle selector and jump to the lower half, the upper half
+ * follows inline. Small ranges are compared linearly.
+ *
+ * @param {Array<Object>} functions Sorted by selector
+ * @returns {Array<String>} lines
+ */
+function binaryDispatch(functions) {
+    let branches = 0;
+    const search = (range) => {
+        if (range.length <= LINEAR_THRESHOLD) return [...linearDispatch(range), `\t${NO_MATCH} jump`];
+
+        const middle = Math.floor(range.length / 2);
+        const lower = `lower_${branches++}`;
+        return [
+            withComment(`\tdup1 0x${range[middle].selector} gt ${lower} jumpi`, `selector < 0x${range[middle].selector}`),
+            ...search(range.slice(middle)),
+            `\t${lower}:`,
+            ...search(range.slice(0, middle))
+        ];
+    };
+    return search([...functions].sort((a, b) => a.selector.localeCompare(b.selector)));
+}
+
+/**Jump Table Dispatch
+ *
+ * Index a packed jump table with a few bits of the selector. Each entry leads to a check of
+ * the full selector, as other selectors share the same bits.
+ *
+ * @param {Array<Object>} functions
+ * @param {{shift: Number, bits: Number}} index
+ * @returns {{lines: Array<String>, table: String}}
+ */
+function jumpTableDispatch(functions, { shift, bits }) {
+    const entries = new Array(1 << bits).fill(NO_MATCH);
+    for (const fn of functions) entries[tableIndex(fn.selector, shift, bits)] = `check_${fn.label}`;
+
+    const lines = [
+        withComment(`\tdup1 ${hex(shift)} shr ${hex((1 << bits) - 1)} and`, "[index, selector]"),
+        withComment(`\t0x02 mul __tablestart(${TABLE_NAME}) add`, "[entry, selector]"),
+        withComment("\t0x02 swap1 0x1e codecopy", "[selector]"),
+        "\t0x00 mload jump",
+        "",
+        ...functions.flatMap(fn => [
+            `\tcheck_${fn.label}:`,
+            `\t\tdup1 0x${fn.selector} eq ${fn.label} jumpi`,
+            `\t\t${NO_MATCH} jump`
+        ])
+    ];
+
+    const rows = [];
+    for (let i = 0; i < entries.length; i += 4) rows.push(`\t${entries.slice(i, i + 4).join(" ")}`);
+    const table = `#define jumptable__packed ${TABLE_NAME} {\n${rows.join("\n")}\n}\n`;
+    return { lines, table };
+}
+
+/**Generate Dispatcher
+ *
+ * Write a MAIN() macro that jumps to a label for every function selector. Unknown selectors
+ * revert, or invoke FALLBACK() when `fallback` is set. `receive` invokes RECEIVE() for calls
+ * without calldata and `callvalueGuards` reverts calls with value to non payable functions.
+ *
+ * @param {Array<Object>} functions See dispatcherFunctions
+ * @param {{strategy: String, callvalueGuards: Boolean, fallback: Boolean, receive: Boolean}} options
+ * @returns {String} huff source, or null if no jump table index could be found
+ */
+function generateDispatcher(functions, options) {
+    const { strategy = "linear", callvalueGuards = false, fallback = false, receive = false } = options;
+
+    let dispatch;
+    let table = "";
+    switch (strategy) {
+        case "binary":
+            dispatch = binaryDispatch(functions);
+            break;
+        case "jumptable": {
+            const index = findTableIndex(functions);
+            if (!index) return null;
+            ({ lines: dispatch, table } = jumpTableDispatch(functions, index));
+            break;
+        }
+        default:
+            dispatch = linearDispatch(functions);
+    }
+
+    const lines = [
+        "#define macro MAIN() = takes(0) returns(0) {",
+        withComment("\t0x00 calldataload 0xe0 shr", "[selector]")
+    ];
+    if (receive) lines.push(`\tcalldatasize iszero ${RECEIVE} jumpi`);
+    lines.push(...dispatch, "");
+
+    // Reached by falling through the linear dispatcher, or by jumping from the others
+    const indent = strategy === "linear" ? "\t" : "\t\t";
+    if (strategy !== "linear") lines.push(`\t${NO_MATCH}:`);
+    lines.push(...(fallback ? [`${indent}FALLBACK()`, `${indent}stop`] : [`${indent}0x00 dup1 revert`]));
+
+    if (receive) lines.push(`\t${RECEIVE}:`, "\t\tRECEIVE()", "\t\tstop");
+    const guarded = functions.filter(fn => callvalueGuards && !fn.payable);
+    if (guarded.length) lines.push(`\t${NOT_PAYABLE}:`, "\t\t0x00 dup1 revert");
+    lines.push("");
+
+    for (const fn of functions) {
+        lines.push(`\t${fn.label}:`);
+        if (guarded.includes(fn)) lines.push(`\t\tcallvalue ${NOT_PAYABLE} jumpi`);
+        lines.push(`\t\t${fn.macro}()`);
+    }
+    lines.push("}");
+
+    return `${table ? `${table}\n` : ""}${lines.join("\n")}\n`;
+}
+
+module.exports = {
+    dispatcherFunctions,
+    generateDispatcher,
+    findTableIndex,
+    STRATEGIES
+}
@@ -0,0 +1,170 @@
+const { parse, getDefinitions } = require("../parser");
+const { nodeGas } = require("../gas");
+
+// Dispatchers are short, anything longer is looping
+const MAX_STEPS = 10000;
+
+// codecopy and memory expansion both cost 3 gas per word on top of the base cost
+const WORD_GAS = 3;
+
+const word = (value) => BigInt.asUintN(256, value);
+
+/**Trace Dispatch
+ *
+ * Run a generated MAIN() dispatcher for one call until it invokes a macro or halts, to
+ * measure what routing that call costs. Only the opcodes dispatchers use are supported.
+ * Jump labels are values of their own, `__tablestart` offsets point into the jump table.
+ *
+ * @param {String} source Output of generateDispatcher
+ * @param {{selector: String, callvalue: Number, calldatasize: Number}} call `selector` without 0x
+ * @returns {{target: String, gas: Number}} `target` is the invoked macro, or the halting opcode
+ */
+function traceDispatch(source, { selector, callvalue = 0, calldatasize = 4 }) {
+    const program = parse(source);
+    const [main] = getDefinitions(program, "Macro").filter(macro => macro.name === "MAIN");
+    const tables = Object.fromEntries(getDefinitions(program, "Table").map(table => [table.name, table.body.map(node => node.name)]));
+    const labels = new Map(main.body.map((node, i) => [node.type === "LabelDefinition" ? node.name : null, i]));
+
+    const calldata = calldatasize ? word(BigInt(`0x${selector}`) << 224n) : 0n;
+    const memory = new Map();
+    const memoryWords = new Set();
+    const stack = [];
+    const pop = () => {
+        if (!stack.length) throw new Error("Stack underflow");
+        return stack.shift();
+    };
+
+    let gas = 0;
+    let pc = 0;
+    for (let steps = 0; pc < main.body.length && steps < MAX_STEPS; steps++) {
+        const node = main.body[pc++];
+        gas += nodeGas(node);
+
+        switch (node.type) {
+            case "Literal":
+                stack.unshift(BigInt(node.value));
+                continue;
+            case "LabelReference":
+                stack.unshift({ label: node.name });
+                continue;
+            case "LabelDefinition":
+                continue;
+            case "BuiltinCall":
+                stack.unshift({ table: node.args[0].name, offset: 0n });
+                continue;
+            case "MacroCall":
+                return { target: node.name, gas };
+        }
+
+        const name = node.name;
+        if (/^dup\d+$/.test(name)) {
+            stack.unshift(stack[Number(name.slice(3)) - 1]);
+            continue;
+        }
+        if (/^swap\d+$/.test(name)) {
+            const depth = Number(name.slice(4));
+            [stack[0], stack[depth]] = [stack[depth], stack[0]];
+            continue;
+        }
+
+        switch (name) {
+            case "calldataload": pop(); stack.unshift(calldata); break;
+            case "calldatasize": stack.unshift(BigInt(calldatasize)); break;
+            case "callvalue": stack.unshift(BigInt(callvalue)); break;
+            case "shr": { const shift = pop(); stack.unshift(pop() >> shift); break; }
+            case "and": stack.unshift(pop() & pop()); break;
+            case "eq": stack.unshift(pop() === pop() ? 1n : 0n); break;
+            case "gt": stack.unshift(pop() > pop() ? 1n : 0n); break;
+            case "lt": stack.unshift(pop() < pop() ? 1n : 0n); break;
+            case "iszero": stack.unshift(pop() === 0n ? 1n : 0n); break;
+            case "mul": stack.unshift(word(pop() * pop())); break;
+            case "pop": pop(); break;
+            case "add": {
+                const [a, b] = [pop(), pop()];
+                stack.unshift(a.table ? { ...a, offset: a.offset + b } : b.table ? { ...b, offset: b.offset + a } : word(a + b));
+                break;
+            }
+            case "codecopy": {
+                const [destination, offset, size] = [pop(), pop(), pop()];
+                // Packed jump tables hold two byte entries, copied to the end of a memory word
+                const entry = tables[offset.table][Number(offset.offset / 2n)];
+                memory.set(destination + size - 32n, { label: entry });
+                gas += WORD_GAS;
+                break;
+            }
+            case "mload": {
+                const offset = pop();
+                if (!memoryWords.has(offset)) gas += WORD_GAS;
+                memoryWords.add(offset);
+                stack.unshift(memory.get(offset) ?? 0n);
+                break;
+            }
+            case "jump":
+            case "jumpi": {
+                const destination = pop();
+                if (name === "jumpi" && pop() === 0n) break;
+                if (!labels.has(destination.label)) throw new Error(`Invalid jump destination ${destination.label}`);
+                pc = labels.get(destination.label);
+                break;
+            }
+            case "stop":
+            case "return":
+            case "revert":
+            case "invalid":
+                return { target: name, gas };
+            default:
+                throw new Error(`Unsupported opcode "${name}"`);
+        }
+    }
+    return { target: null, gas };
+}
+
+/**Compare Dispatch Gas
+ *
+ * The gas each strategy spends routing a call to every function, and an unknown selector
+ *
+ * @param {Array<Object>} functions See dispatcherFunctions
+ * @param {Object} sources Strategy name to the output of generateDispatcher
+ * @returns {Array<{label: String, selector: String, gas: Object}>} `gas` is keyed by strategy
+ */
+function compareDispatchGas(functions, sources) {
+    let unknown = 0;
+    while (functions.some(fn => parseInt(fn.selector, 16) === unknown)) unknown++;
+
+    const calls = [
+        ...functions.map(fn => ({ label: fn.label, selector: fn.selector })),
+        { label: "(unknown selector)", selector: unknown.toString(16).padStart(8, "0") }
+    ];
+    return calls.map(call => ({
+        ...call,
+        gas: Object.fromEntries(Object.entries(sources).map(([strategy, source]) => [strategy, traceDispatch(source, call).gas]))
+    }));
+}
+
+/**Format Gas Comparison
+ *
+ * Render compareDispatchGas as a comment table, with the average per strategy
+ *
+ * @param {Array<Object>} rows See compareDispatchGas
+ * @returns {String}
+ */
+function formatGasComparison(rows) {
+    const strategies = Object.keys(rows[0].gas);
+    const nameWidth = Math.max(...rows.map(row => row.label.length));
+    const columns = strategies.map(strategy => Math.max(strategy.length, 5));
+    const line = (name, selector, cells) => `// ${name.padEnd(nameWidth)}  ${selector.padEnd(10)}  ${cells.map((cell, i) => String(cell).padStart(columns[i])).join("  ")}`;
+
+    const averages = strategies.map(strategy => Math.round(rows.reduce((total, row) => total + row.gas[strategy], 0) / rows.length));
+    return [
+        "// Estimated dispatch gas per selector, up to the function's macro",
+        line("", "", strategies),
+        ...rows.map(row => line(row.label, `0x${row.selector}`, strategies.map(strategy => row.gas[strategy]))),
+        line("average", "", averages)
+    ].join("\n");
+}
+
+module.exports = {
+    traceDispatch,
+    compareDispatchGas,
+    formatGasComparison
+}
@@ -0,0 +1,140 @@
+const { findDefinitions, positionAt } = require("../project");
+
+// Invocations nested deeper than this are assumed to be recursive
+const MAX_EXPANSION_DEPTH = 64;
+
+/**Expand Body
+ *
+ * Inline every macro invocation of a body the way huffc does at compile time.
+ * `<arg>` references are replaced by the node passed for them by the invoking macro.
+ *
+ * Returns a tree of items in code order:
+ * - `{node, file, origin}` for instructions, literals, labels and other leaves. `origin` is
+ *   the `{node, file}` written in the macro body, the `<arg>` reference for substituted nodes
+ * - `{node, file, macro, children}` for invocations, `macro` being `{definition, file}`
+ *   or null when the macro is undefined or recursive
+ *
+ * @param {Object} project
+ * @param {Array<Object>} body
+ * @param {Object} file The project file the body belongs to
+ * @param {Object} args `<arg>` name to `{node, file, args}` of the invoking macro
+ * @param {Array<String>} stack Names of the macros being expanded
+ * @returns {Array<Object>}
+ */
+function expandBody(project, body, file, args = {}, stack = []) {
+    const items = [];
+    for (let node of body) {
+        const origin = { node, file };
+        let nodeFile = file;
+        let nodeArgs = args;
+
+        // Follow arguments through each level of invocation
+        while (node.type === "ArgumentReference" && nodeArgs[node.name]) {
+            const passed = nodeArgs[node.name];
+            node = passed.node;
+            nodeFile = passed.file;
+            nodeArgs = passed.args;
+        }
+
+        if (node.type !== "MacroCall") {
+            items.push({ node, file: nodeFile, origin });
+            continue;
+        }
+
+        const [found] = findDefinitions(project, "Macro", node.name);
+        if (!found || stack.includes(node.name) || stack.length >= MAX_EXPANSION_DEPTH) {
+            items.push({ node, file: nodeFile, origin, macro: null, children: [] });
+            continue;
+        }
+
+        const calleeArgs = {};
+        found.definition.args.forEach((arg, i) => {
+            if (node.args[i]) calleeArgs[arg.name] = { node: node.args[i], file: nodeFile, args: nodeArgs };
+        });
+        items.push({
+            node,
+            file: nodeFile,
+            origin,
+            macro: found,
+            children: expandBody(project, found.definition.body, found.file, calleeArgs, [...stack, node.name])
+        });
+    }
+    return items;
+}
+
+/**Expand Macro
+ *
+ * @param {Object} project
+ * @param {Object} file The project file defining the macro
+ * @param {Object} macro
+ * @returns {Array<Object>} See expandBody
+ */
+function expandMacro(project, file, macro) {
+    return expandBody(project, macro.body, file, {}, [macro.name]);
+}
+
+/**Flatten Expansion
+ *
+ * The leaves of an expansion in code order, with the invocations they were expanded from
+ *
+ * @param {Array<Object>} items See expandBody
+ * @param {Array<Object>} via
+ * @returns {Array<{node: Object, file: Object, via: Array<Object>}>}
+ */
+function flattenExpansion(items, via = []) {
+    return items.flatMap(item => item.children
+        ? (item.macro ? flattenExpansion(item.children, [...via, item]) : [{ node: item.node, file: item.file, via }])
+        : [{ node: item.node, file: item.file, via }]
+    );
+}
+
+/**Render Expansion
+ *
+ * Print an expansion as huff code. Invoked macros are indented between comments naming
+ * the invocation. Nodes keep the line breaks of their own source.
+ *
+ * @param {Array<Object>} items See expandBody
+ * @param {String} indent
+ * @returns {String}
+ */
+function renderExpansion(items, indent = "    ") {
+    const lines = [];
+    const render = (items, depth) => {
+        let current = null;
+        let lineKey = null;
+        for (const item of items) {
+            const text = item.file.source.slice(item.node.range.start, item.node.range.end);
+            if (item.children) {
+                const suffix = item.macro ? " {" : " // could not be expanded";
+                lines.push(`${indent.repeat(depth)}// ${text}${suffix}`);
+                if (item.macro) {
+                    render(item.children, depth + 1);
+                    lines.push(`${indent.repeat(depth)}// }`);
+                }
+                current = null;
+                continue;
+            }
+
+            const { node, file } = item.origin;
+            const key = `${file.path}:${positionAt(file.source, node.range.start).line}`;
+            if (current && key === lineKey) {
+                current.push(text);
+            } else {
+                current = [text];
+                lines.push(current);
+                current.depth = depth;
+                lineKey = key;
+            }
+        }
+    };
+    render(items, 0);
+
+    return lines.map(line => typeof line === "string" ? line : indent.repeat(line.depth) + line.join(" ")).join("\n");
+}
+
+module.exports = {
+    expandMacro,
+    expandBody,
+    flattenExpansion,
+    renderExpansion
+}
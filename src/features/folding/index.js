@@ -0,0 +1,48 @@
+const vscode = require("vscode");
+const { parseCached } = require("../project");
+const { foldingRanges, selectionRanges } = require("./ranges");
+
+const FOLDING_KINDS = {
+    comment: vscode.FoldingRangeKind.Comment
+};
+
+/**Provide Folding Ranges Handler
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.FoldingContext} context
+ * @param {vscode.CancellationToken} token
+ * @returns {Array<vscode.FoldingRange>|undefined}
+ */
+function provideFoldingRangesHandler(document, context, token) {
+    const source = document.getText();
+    const program = parseCached(document.uri.fsPath, source);
+    if (token.isCancellationRequested) return;
+
+    return foldingRanges(source, program).map(({ start, end, kind }) => new vscode.FoldingRange(start, end, FOLDING_KINDS[kind]));
+}
+
+/**Provide Selection Ranges Handler
+ *
+ * @param {vscode.TextDocument} document
+ * @param {Array<vscode.Position>} positions
+ * @param {vscode.CancellationToken} token
+ * @returns {Array<vscode.SelectionRange>|undefined}
+ */
+function provideSelectionRangesHandler(document, positions, token) {
+    const source = document.getText();
+    const program = parseCached(document.uri.fsPath, source);
+    if (token.isCancellationRequested) return;
+
+    return positions.map(position => {
+        let selection = undefined;
+        for (const range of selectionRanges(source, program, document.offsetAt(position)).reverse()) {
+            selection = new vscode.SelectionRange(new vscode.Range(document.positionAt(range.start), document.positionAt(range.end)), selection);
+        }
+        return selection || new vscode.SelectionRange(new vscode.Range(position, position));
+    });
+}
+
+module.exports = {
+    provideFoldingRangesHandler,
+    provideSelectionRangesHandler
+}
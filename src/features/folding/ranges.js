@@ -0,0 +1,126 @@
+const { tokenize } = require("../parser");
+const { lineIndex } = require("../project");
+
+/**Label Blocks
+ *
+ * Split a macro body at its jump labels. Each block runs from a label to the last node
+ * before the next label.
+ *
+ * @param {Object} macro
+ * @returns {Array<{label: Object, start: Number, end: Number}>}
+ */
+function labelBlocks(macro) {
+    const blocks = [];
+    for (const node of macro.body) {
+        if (node.type === "LabelDefinition") {
+            blocks.push({ label: node, start: node.range.start, end: node.range.end });
+        } else if (blocks.length) {
+            blocks[blocks.length - 1].end = node.range.end;
+        }
+    }
+    return blocks;
+}
+
+/**Folding Ranges
+ *
+ * Foldable regions of a file:
+ * - the bodies of macros, fns, tests and tables, leaving the closing brace visible
+ * - the code following each jump label, up to the next label
+ * - multi line block comments and runs of whole line `//` comments
+ *
+ * @param {String} source
+ * @param {Object} program The parsed source
+ * @returns {Array<{start: Number, end: Number, kind: String|undefined}>} Zero based lines
+ */
+function foldingRanges(source, program) {
+    const { lineOf, lineStart } = lineIndex(source);
+    const ranges = [];
+    const fold = (start, end, kind) => {
+        if (end > start) ranges.push({ start, end, kind });
+    };
+
+    for (const definition of program.definitions) {
+        if (!definition.bodyRange) continue;
+
+        const closeLine = lineOf(definition.bodyRange.end);
+        const hasCloseLine = !source.slice(lineStart(closeLine), definition.bodyRange.end).trim();
+        fold(lineOf(definition.range.start), hasCloseLine ? closeLine - 1 : closeLine);
+
+        if (definition.type !== "Macro") continue;
+        for (const block of labelBlocks(definition)) fold(lineOf(block.start), lineOf(block.end));
+    }
+
+    let run = null;
+    for (const comment of program.comments) {
+        const start = lineOf(comment.start);
+        const end = lineOf(Math.max(comment.start, comment.end - 1));
+        if (comment.value.startsWith("/*")) {
+            fold(start, end, "comment");
+            continue;
+        }
+
+        // Trailing comments after code are not part of a comment block
+        if (source.slice(lineStart(start), comment.start).trim()) continue;
+        if (run && run.end === start - 1) {
+            run.end = start;
+        } else {
+            if (run) fold(run.start, run.end, "comment");
+            run = { start, end: start };
+        }
+    }
+    if (run) fold(run.start, run.end, "comment");
+
+    return ranges.sort((a, b) => a.start - b.start);
+}
+
+/**Selection Ranges
+ *
+ * The ranges smart selection grows through from an offset: the token, its line, the
+ * jump label block, the macro body and finally the whole definition. Ranges that do not
+ * contain the previous one are skipped.
+ *
+ * @param {String} source
+ * @param {Object} program The parsed source
+ * @param {Number} offset
+ * @returns {Array<{start: Number, end: Number}>} Innermost first
+ */
+function selectionRanges(source, program, offset) {
+    const { lineOf, lineStart, lineEnd } = lineIndex(source);
+    const candidates = [];
+
+    const token = tokenize(source).tokens.find(candidate => candidate.start <= offset && offset <= candidate.end);
+    if (token) candidates.push({ start: token.start, end: token.end });
+
+    const line = lineOf(offset);
+    const text = source.slice(lineStart(line), lineEnd(line)).replace(/\r$/, "");
+    const indent = text.length - text.trimStart().length;
+    candidates.push({ start: lineStart(line) + indent, end: lineStart(line) + text.trimEnd().length });
+
+    const definition = program.definitions.find(candidate => candidate.range.start <= offset && offset <= candidate.range.end);
+    if (definition && definition.bodyRange) {
+        if (definition.type === "Macro") {
+            const block = labelBlocks(definition).find(candidate => candidate.start <= offset && offset <= candidate.end);
+            if (block) candidates.push({ start: block.start, end: block.end });
+        }
+
+        const body = source.slice(definition.bodyRange.start, definition.bodyRange.end);
+        const leading = body.length - body.trimStart().length;
+        candidates.push({ start: definition.bodyRange.start + leading, end: definition.bodyRange.start + body.trimEnd().length });
+    }
+    if (definition) candidates.push({ start: definition.range.start, end: definition.range.end });
+
+    const ranges = [];
+    for (const range of candidates) {
+        const previous = ranges[ranges.length - 1];
+        if (range.end <= range.start && previous) continue;
+        if (!previous || (range.start <= previous.start && previous.end <= range.end && (range.start < previous.start || previous.end < range.end))) {
+            ranges.push(range);
+        }
+    }
+    return ranges;
+}
+
+module.exports = {
+    foldingRanges,
+    selectionRanges
+}
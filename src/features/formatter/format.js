@@ -0,0 +1,162 @@
+const { tokenize, TokenType } = require("../parser");
+const { lineIndex } = require("../project");
+const { STACK_COMMENT_GAP } = require("../stack/comments");
+
+const DEFAULT_OPTIONS = {
+    indent: "    ",
+    tabSize: 4,
+    indentLabelBodies: true,
+    alignStackComments: true,
+    hexCase: "lower"
+};
+
+const isPunct = (token, chars) => token.type === TokenType.Punct && chars.includes(token.value);
+const isStackComment = (comment) => /^\/\/\s*\[/.test(comment);
+
+/**Separator
+ *
+ * The whitespace that belongs between two tokens on the same line
+ *
+ * @param {Object} prev
+ * @param {Object} next
+ * @param {String} original The whitespace currently between them
+ * @param {{inBody: Boolean, interfaceHeader: Boolean}} line
+ * @returns {String}
+ */
+function separator(prev, next, original, line) {
+    if (prev.type === TokenType.Unknown || next.type === TokenType.Unknown) return original;
+    if (prev.type === TokenType.DecoratorStart || isPunct(prev, "([<")) return "";
+    if (isPunct(next, ")],:>")) return "";
+
+    // Array types such as `uint256[]`, constants are referenced as `[NAME]` in bodies
+    if (isPunct(next, "[")) return line.inBody ? " " : "";
+
+    // Calls and argument lists hug their name. Interface definitions keep the space in `returns (...)`
+    if (isPunct(next, "(") && prev.type === TokenType.Ident) {
+        return line.interfaceHeader && prev.value === "returns" && original ? " " : "";
+    }
+    return " ";
+}
+
+/**Format Token
+ *
+ * @param {Object} token
+ * @param {Object} options
+ * @returns {String}
+ */
+function formatToken(token, options) {
+    const value = token.value.replace(/\r$/, "");
+    if (token.type !== TokenType.Hex || options.hexCase === "preserve") return value;
+
+    const digits = value.slice(2);
+    return `0x${options.hexCase === "upper" ? digits.toUpperCase() : digits.toLowerCase()}`;
+}
+
+/**Format Lines
+ *
+ * Normalise the whitespace of a huff document line by line. Only the whitespace between
+ * tokens changes, apart from the casing of hex literals:
+ * - tokens are separated by single spaces, with none inside brackets or before `,` and `:`
+ * - definition bodies are indented one level, and code after a jump label one more
+ * - trailing `// [stack]` comments inside a macro are aligned into one column
+ * Lines inside multi line block comments are left as they are.
+ *
+ * @param {String} source
+ * @param {Object} program The parsed source
+ * @param {Object} options See DEFAULT_OPTIONS
+ * @returns {Array<{line: Number, text: String}>} The new text of every line that changed
+ */
+function formatLines(source, program, options = {}) {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const { tokens } = tokenize(source);
+    const lines = source.split("\n").map(text => text.replace(/\r$/, ""));
+
+    const { lineOf, lineEnd: endOfLine } = lineIndex(source);
+
+    // Group tokens by the line they start on, lines covered by a block comment stay untouched
+    const lineTokens = lines.map(() => []);
+    const untouched = new Set();
+    for (const token of tokens) {
+        const first = lineOf(token.start);
+        const last = lineOf(Math.max(token.start, token.end - 1));
+        lineTokens[first].push(token);
+        for (let line = first + 1; line <= last; line++) untouched.add(line);
+    }
+
+    const bodies = program.definitions.filter(definition => definition.bodyRange);
+    const bodyAt = (offset) => bodies.find(definition => definition.bodyRange.start <= offset && offset < definition.bodyRange.end);
+
+    const formatted = [];
+    let parens = 0;
+    for (let line = 0; line < lines.length; line++) {
+        const onLine = lineTokens[line];
+        if (untouched.has(line) || !onLine.length) {
+            formatted.push({ text: untouched.has(line) ? lines[line] : "", body: null });
+            continue;
+        }
+
+        const first = onLine[0];
+        if (first.type === TokenType.Directive) parens = 0;
+
+        const body = bodyAt(first.start);
+        const context = {
+            inBody: Boolean(body),
+            interfaceHeader: first.type === TokenType.Directive && /^#define\s+(function|event|error)\b/.test(lines[line].trim())
+        };
+
+        // Indentation
+        let level = body ? 1 : 0;
+        if (body && body.type === "Macro" && options.indentLabelBodies) {
+            const labels = body.body.filter(node => node.type === "LabelDefinition");
+            const startsWithLabel = labels.some(label => label.range.start === first.start);
+            if (!startsWithLabel && labels.some(label => label.range.end <= first.start)) level++;
+        }
+        if (parens > 0 && !isPunct(first, ")")) level++;
+
+        // A block comment running onto the next lines is kept up to the end of this line
+        const lineEnd = endOfLine(line);
+        const tokenText = (token) => token.type === TokenType.Comment
+            ? source.slice(token.start, Math.min(token.end, lineEnd)).replace(/\r$/, "")
+            : formatToken(token, options);
+
+        // Keep a single line trailing comment apart so it can be aligned
+        const last = onLine[onLine.length - 1];
+        const trailing = onLine.length > 1 && last.type === TokenType.Comment && last.end <= lineEnd ? last : null;
+        const codeTokens = trailing ? onLine.slice(0, -1) : onLine;
+
+        let code = options.indent.repeat(level);
+        codeTokens.forEach((token, i) => {
+            if (i > 0) code += separator(codeTokens[i - 1], token, source.slice(codeTokens[i - 1].end, token.start), context);
+            code += tokenText(token);
+            if (isPunct(token, "(")) parens++;
+            if (isPunct(token, ")")) parens = Math.max(0, parens - 1);
+        });
+
+        if (!trailing) {
+            formatted.push({ text: code, body });
+            continue;
+        }
+        const comment = tokenText(trailing);
+        const gap = source.slice(codeTokens[codeTokens.length - 1].end, trailing.start);
+        formatted.push({ text: code + gap + comment, body, code, comment });
+    }
+
+    // Align trailing stack comments of each macro into one column
+    if (options.alignStackComments) {
+        const width = (text) => text.replace(/\t/g, " ".repeat(options.tabSize)).length;
+        for (const body of bodies) {
+            const stackLines = formatted.filter(line => line.body === body && line.comment && isStackComment(line.comment));
+            const column = Math.max(0, ...stackLines.map(line => width(line.code))) + STACK_COMMENT_GAP;
+            for (const line of stackLines) line.text = line.code + " ".repeat(column - width(line.code)) + line.comment;
+        }
+    }
+
+    return formatted
+        .map((line, i) => ({ line: i, text: line.text }))
+        .filter(({ line, text }) => text !== lines[line]);
+}
+
+module.exports = {
+    formatLines,
+    DEFAULT_OPTIONS
+}
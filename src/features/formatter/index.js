@@ -0,0 +1,68 @@
+const vscode = require("vscode");
+const { parseCached } = require("../project");
+const { formatLines, DEFAULT_OPTIONS } = require("./format");
+const { extensionConfig } = require("../../settings");
+
+/**Format Options
+ *
+ * Combine the editor's indentation with the `huff.format` settings
+ *
+ * @param {vscode.FormattingOptions} options
+ * @returns {Object} See DEFAULT_OPTIONS
+ */
+function formatOptions(options) {
+    const config = extensionConfig();
+    return {
+        indent: options.insertSpaces ? " ".repeat(options.tabSize) : "\t",
+        tabSize: options.tabSize,
+        indentLabelBodies: config.get("format.indentLabelBodies", DEFAULT_OPTIONS.indentLabelBodies),
+        alignStackComments: config.get("format.alignStackComments", DEFAULT_OPTIONS.alignStackComments),
+        hexCase: config.get("format.hexCase", DEFAULT_OPTIONS.hexCase)
+    };
+}
+
+/**Format Edits
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.FormattingOptions} options
+ * @param {vscode.Range} range Only lines within the range are changed
+ * @returns {Array<vscode.TextEdit>}
+ */
+function formatEdits(document, options, range) {
+    const source = document.getText();
+    return formatLines(source, parseCached(document.uri.fsPath, source), formatOptions(options))
+        .filter(({ line }) => !range || (range.start.line <= line && line <= range.end.line))
+        .map(({ line, text }) => vscode.TextEdit.replace(document.lineAt(line).range, text));
+}
+
+/**Provide Document Formatting Edits Handler
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.FormattingOptions} options
+ * @param {vscode.CancellationToken} token
+ * @returns {Array<vscode.TextEdit>|undefined}
+ */
+function provideDocumentFormattingEditsHandler(document, options, token) {
+    if (token.isCancellationRequested) return;
+    return formatEdits(document, options, null);
+}
+
+/**Provide Document Range Formatting Edits Handler
+ *
+ * Stack comments are still aligned with the rest of their macro
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range
+ * @param {vscode.FormattingOptions} options
+ * @param {vscode.CancellationToken} token
+ * @returns {Array<vscode.TextEdit>|undefined}
+ */
+function provideDocumentRangeFormattingEditsHandler(document, range, options, token) {
+    if (token.isCancellationRequested) return;
+    return formatEdits(document, options, range);
+}
+
+module.exports = {
+    provideDocumentFormattingEditsHandler,
+    provideDocumentRangeFormattingEditsHandler
+}
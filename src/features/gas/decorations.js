@@ -0,0 +1,101 @@
+const vscode = require("vscode");
+const { walk } = require("../parser");
+const { getDocumentProject, toRange } = require("../project/documents");
+const { estimateMacroGas, dynamicGasReason } = require("./index");
+const { LANGUAGE_ID, extensionConfig } = require("../../settings");
+
+// Delay before re-estimating after an edit
+const UPDATE_DELAY = 500;
+
+/**Macro Gas Decorations
+ *
+ * An estimate at the end of each macro header, and a marker on every dynamic cost opcode
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {{estimates: Array<vscode.DecorationOptions>, dynamic: Array<vscode.DecorationOptions>}}
+ */
+function macroGasDecorations(document) {
+    const project = getDocumentProject(document);
+    const file = project.files.get(document.uri.fsPath);
+    const estimates = [];
+    const dynamic = [];
+    if (!file) return { estimates, dynamic };
+
+    // Macros still being typed have no body yet
+    for (const macro of file.program.definitions.filter(definition => definition.type === "Macro" && definition.bodyRange)) {
+        const { gas, unexpanded, dynamic: dynamicOpcodes } = estimateMacroGas(project, file, macro);
+
+        const details = [`Static estimate: the minimum cost of the cheapest path through the expanded macro, to a halting opcode or its end, ${gas} gas.`];
+        if (dynamicOpcodes.length) {
+            details.push(...dynamicOpcodes.map(({ name, reason, count }) => `- \`${name}\` × ${count}: depends on ${reason}`));
+        }
+        if (unexpanded.length) details.push(`Not expanded: ${[...new Set(unexpanded)].join(", ")}`);
+
+        const line = document.positionAt(macro.bodyRange.start).line;
+        const end = document.lineAt(line).range.end;
+        estimates.push({
+            range: new vscode.Range(end, end),
+            hoverMessage: new vscode.MarkdownString(details.join("\n\n")),
+            renderOptions: {
+                after: { contentText: `≥ ${gas} gas${dynamicOpcodes.length ? " + dynamic" : ""}` }
+            }
+        });
+
+        walk(macro.body, node => {
+            const reason = dynamicGasReason(node);
+            if (reason) {
+                dynamic.push({ range: toRange(file.source, node.range), hoverMessage: `Dynamic gas: depends on ${reason}` });
+            }
+        });
+    }
+    return { estimates, dynamic };
+}
+
+/**Register Gas Decorations
+ *
+ * Keep the gas estimates of the active huff editor up to date
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function registerGasDecorations(context) {
+    const estimateDecoration = vscode.window.createTextEditorDecorationType({
+        after: {
+            color: new vscode.ThemeColor("editorCodeLens.foreground"),
+            fontStyle: "italic",
+            margin: "0 0 0 2em"
+        }
+    });
+    const dynamicDecoration = vscode.window.createTextEditorDecorationType({
+        textDecoration: "underline dotted"
+    });
+    let pending = null;
+
+    const update = (editor) => {
+        if (!editor || editor.document.languageId !== LANGUAGE_ID) return;
+
+        const enabled = extensionConfig().get("gasEstimates.enable");
+        const { estimates, dynamic } = enabled ? macroGasDecorations(editor.document) : { estimates: [], dynamic: [] };
+        editor.setDecorations(estimateDecoration, estimates);
+        editor.setDecorations(dynamicDecoration, dynamic);
+    };
+
+    update(vscode.window.activeTextEditor);
+    context.subscriptions.push(
+        estimateDecoration,
+        dynamicDecoration,
+        vscode.window.onDidChangeActiveTextEditor(update),
+        vscode.workspace.onDidChangeTextDocument(event => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || event.document !== editor.document) return;
+            clearTimeout(pending);
+            pending = setTimeout(() => update(vscode.window.activeTextEditor), UPDATE_DELAY);
+        }),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(LANGUAGE_ID)) update(vscode.window.activeTextEditor);
+        })
+    );
+}
+
+module.exports = {
+    registerGasDecorations
+}
@@ -0,0 +1,151 @@
+const asmArr = require("../hover/asm.json");
+const { expandMacro, flattenExpansion } = require("../expansion");
+
+// Literals, constants, labels and builtins compile to a PUSH, jump labels to a JUMPDEST
+const PUSH_GAS = asmArr.push1.instr_gas;
+const JUMPDEST_GAS = asmArr.jumpdest.instr_gas;
+
+// Opcodes ending execution
+const HALTING_OPCODES = new Set(["stop", "return", "revert", "invalid", "selfdestruct"]);
+
+// Opcodes whose cost depends on state or inputs, asm.json only has their base cost
+const MEMORY_EXPANSION = "memory expansion";
+const ACCOUNT_ACCESS = "cold / warm account access";
+const DYNAMIC_GAS = {
+    sload: "cold / warm slot access",
+    sstore: "the current, original and new value of the slot",
+    balance: ACCOUNT_ACCESS,
+    extcodesize: ACCOUNT_ACCESS,
+    extcodehash: ACCOUNT_ACCESS,
+    extcodecopy: `${ACCOUNT_ACCESS}, words copied and ${MEMORY_EXPANSION}`,
+    call: `${ACCOUNT_ACCESS}, value transfer, gas forwarded and ${MEMORY_EXPANSION}`,
+    callcode: `${ACCOUNT_ACCESS}, value transfer, gas forwarded and ${MEMORY_EXPANSION}`,
+    delegatecall: `${ACCOUNT_ACCESS}, gas forwarded and ${MEMORY_EXPANSION}`,
+    staticcall: `${ACCOUNT_ACCESS}, gas forwarded and ${MEMORY_EXPANSION}`,
+    create: `init code execution and ${MEMORY_EXPANSION}`,
+    create2: `init code hashing and execution and ${MEMORY_EXPANSION}`,
+    selfdestruct: `${ACCOUNT_ACCESS} and account creation`,
+    keccak256: `words hashed and ${MEMORY_EXPANSION}`,
+    sha3: `words hashed and ${MEMORY_EXPANSION}`,
+    exp: "the byte length of the exponent",
+    mload: MEMORY_EXPANSION,
+    mstore: MEMORY_EXPANSION,
+    mstore8: MEMORY_EXPANSION,
+    mcopy: `words copied and ${MEMORY_EXPANSION}`,
+    calldatacopy: `words copied and ${MEMORY_EXPANSION}`,
+    codecopy: `words copied and ${MEMORY_EXPANSION}`,
+    returndatacopy: `words copied and ${MEMORY_EXPANSION}`,
+    return: MEMORY_EXPANSION,
+    revert: MEMORY_EXPANSION,
+    ...Object.fromEntries([0, 1, 2, 3, 4].map(topics => [`log${topics}`, `bytes logged and ${MEMORY_EXPANSION}`]))
+};
+
+/**Node Gas
+ *
+ * The minimum gas of a single expanded node
+ *
+ * @param {Object} node
+ * @returns {Number}
+ */
+function nodeGas(node) {
+    switch (node.type) {
+        case "Opcode": return asmArr[node.name] ? asmArr[node.name].instr_gas : 0;
+        case "LabelDefinition": return JUMPDEST_GAS;
+        case "BuiltinCall": return node.name === "__VERBATIM" ? 0 : PUSH_GAS;
+        case "Literal":
+        case "ConstantReference":
+        case "LabelReference":
+        case "ArgumentReference":
+            return PUSH_GAS;
+    }
+    return 0;
+}
+
+/**Dynamic Gas Reason
+ *
+ * @param {Object} node
+ * @returns {String|null} What the cost of a dynamic opcode depends on
+ */
+function dynamicGasReason(node) {
+    return node.type === "Opcode" && DYNAMIC_GAS[node.name] || null;
+}
+
+/**Cheapest Path Gas
+ *
+ * Dijkstra over the expanded instructions: each instruction continues to the next one,
+ * `<label> jump` to the label, `<label> jumpi` to both, and halting opcodes to the end.
+ * Jumps to computed destinations are assumed to leave the macro.
+ *
+ * @param {Array<Object>} nodes Leaves of an expansion in code order
+ * @returns {Number} The gas of the cheapest path to a halting opcode or to the end of the macro
+ */
+function cheapestPathGas(nodes) {
+    const end = nodes.length;
+    const labels = new Map();
+    nodes.forEach((node, i) => {
+        if (node.type !== "LabelDefinition") return;
+        if (!labels.has(node.name)) labels.set(node.name, []);
+        labels.get(node.name).push(i);
+    });
+
+    const successors = (i) => {
+        const node = nodes[i];
+        if (node.type !== "Opcode") return [i + 1];
+        if (HALTING_OPCODES.has(node.name)) return [end];
+        if (node.name !== "jump" && node.name !== "jumpi") return [i + 1];
+
+        const destination = nodes[i - 1];
+        const targets = destination && destination.type === "LabelReference" ? labels.get(destination.name) || [] : [];
+        const fallthrough = node.name === "jumpi" ? [i + 1] : [];
+        return targets.length ? [...targets, ...fallthrough] : [end, ...fallthrough];
+    };
+
+    const gas = new Array(end + 1).fill(Infinity);
+    const done = new Array(end + 1).fill(false);
+    gas[0] = 0;
+    for (;;) {
+        let i = -1;
+        for (let j = 0; j <= end; j++) {
+            if (!done[j] && gas[j] !== Infinity && (i === -1 || gas[j] < gas[i])) i = j;
+        }
+        if (i === -1 || i === end) break;
+        done[i] = true;
+
+        const cost = gas[i] + nodeGas(nodes[i]);
+        for (const next of successors(i)) gas[next] = Math.min(gas[next], cost);
+    }
+    return gas[end];
+}
+
+/**Estimate Macro Gas
+ *
+ * Static estimate of a macro's gas: the minimum cost of the cheapest path through its
+ * expanded body, see cheapestPathGas
+ *
+ * @param {Object} project
+ * @param {Object} file The project file defining the macro
+ * @param {Object} macro
+ * @returns {{gas: Number, unexpanded: Array<String>, dynamic: Array<{name: String, reason: String, count: Number}>}}
+ *  `unexpanded` names invocations that could not be expanded, `dynamic` the opcodes
+ *  that may cost more than their base cost
+ */
+function estimateMacroGas(project, file, macro) {
+    const unexpanded = [];
+    const dynamic = new Map();
+    const nodes = flattenExpansion(expandMacro(project, file, macro)).map(({ node }) => node);
+    for (const node of nodes) {
+        if (node.type === "MacroCall") unexpanded.push(node.name);
+
+        const reason = dynamicGasReason(node);
+        if (!reason) continue;
+        if (!dynamic.has(node.name)) dynamic.set(node.name, { name: node.name, reason, count: 0 });
+        dynamic.get(node.name).count++;
+    }
+    return { gas: cheapestPathGas(nodes), unexpanded, dynamic: [...dynamic.values()] };
+}
+
+module.exports = {
+    estimateMacroGas,
+    dynamicGasReason,
+    nodeGas
+}
@@ -0,0 +1,35 @@
+const vscode = require("vscode");
+const { getDocumentProject, getLinkedFiles } = require("../project/documents");
+const { semanticTokens, TOKEN_TYPES, TOKEN_MODIFIERS } = require("./tokens");
+
+const legend = new vscode.SemanticTokensLegend(TOKEN_TYPES, TOKEN_MODIFIERS);
+
+/**Provide Document Semantic Tokens Handler
+ *
+ * Symbols are resolved against every file compiled together with the document, so names
+ * defined by the contracts that include a library are not reported as unresolved
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<vscode.SemanticTokens|undefined>}
+ */
+async function provideDocumentSemanticTokensHandler(document, token) {
+    const project = getDocumentProject(document);
+    const file = project.files.get(document.uri.fsPath);
+    if (!file) return;
+
+    const linkedFiles = await getLinkedFiles([file.path]);
+    if (token.isCancellationRequested) return;
+
+    const builder = new vscode.SemanticTokensBuilder(legend);
+    const linked = { ...project, files: new Map([...project.files, ...linkedFiles]) };
+    for (const { range, type, modifiers } of semanticTokens(linked, file)) {
+        builder.push(new vscode.Range(document.positionAt(range.start), document.positionAt(range.end)), type, modifiers);
+    }
+    return builder.build();
+}
+
+module.exports = {
+    provideDocumentSemanticTokensHandler,
+    legend
+}
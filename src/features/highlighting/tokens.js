@@ -0,0 +1,81 @@
+const { BUILTINS } = require("../parser");
+const { getBodySymbols, resolveDefinitions, DEFINITION_KINDS } = require("../symbols");
+
+// Token types are either standard vscode types or contributed in package.json
+const TOKEN_TYPES = ["macro", "function", "variable", "parameter", "method", "event", "type", "struct", "jumpLabel", "builtin", "unresolved"];
+const TOKEN_MODIFIERS = ["declaration", "readonly"];
+
+// Token type of each symbol kind, macros are split by their definition's kind
+const SYMBOL_TOKEN_TYPES = {
+    macro: "macro",
+    fn: "function",
+    constant: "variable",
+    argument: "parameter",
+    label: "jumpLabel",
+    builtin: "builtin",
+    function: "method",
+    event: "event",
+    error: "type",
+    table: "struct"
+};
+
+/**Token Type
+ *
+ * @param {Object} symbol
+ * @param {Object} definition The definition the symbol resolves to, if it is a macro
+ * @returns {String}
+ */
+function tokenType(symbol, definition) {
+    if (symbol.kind === "macro" && definition && definition.kind === "fn") return SYMBOL_TOKEN_TYPES.fn;
+    return SYMBOL_TOKEN_TYPES[symbol.kind];
+}
+
+/**Semantic Tokens
+ *
+ * Classify every name in a file by what it resolves to. Names that do not resolve, such as
+ * undefined macros or a misspelled opcode parsed as a jump label, are `unresolved`.
+ *
+ * @param {Object} project Every file compiled together with `file`
+ * @param {Object} file
+ * @returns {Array<{range: Object, type: String, modifiers: Array<String>}>} In source order
+ */
+function semanticTokens(project, file) {
+    const tokens = [];
+    const push = (range, type, modifiers = []) => tokens.push({ range, type, modifiers });
+
+    for (const definition of file.program.definitions) {
+        const kind = DEFINITION_KINDS[definition.type];
+        const type = tokenType({ kind }, definition);
+        push(definition.nameRange, type, kind === "constant" ? ["declaration", "readonly"] : ["declaration"]);
+
+        for (const symbol of getBodySymbols(definition)) {
+            if (symbol.isDefinition) {
+                push(symbol.range, SYMBOL_TOKEN_TYPES[symbol.kind], ["declaration"]);
+                continue;
+            }
+
+            if (symbol.kind === "builtin") {
+                push(symbol.range, BUILTINS.includes(symbol.name) ? "builtin" : "unresolved");
+                continue;
+            }
+
+            const [resolved] = resolveDefinitions(project, file, symbol);
+            if (!resolved) {
+                push(symbol.range, "unresolved");
+                continue;
+            }
+
+            const target = symbol.kind === "macro"
+                ? resolved.file.program.definitions.find(candidate => candidate.nameRange === resolved.range)
+                : null;
+            push(symbol.range, tokenType(symbol, target), symbol.kind === "constant" ? ["readonly"] : []);
+        }
+    }
+    return tokens.sort((a, b) => a.range.start - b.range.start);
+}
+
+module.exports = {
+    semanticTokens,
+    TOKEN_TYPES,
+    TOKEN_MODIFIERS
+}
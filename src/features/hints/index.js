@@ -0,0 +1,60 @@
+const vscode = require("vscode");
+const { contractStorageSlots } = require("../project");
+const { getDocumentProject, getContractProjects } = require("../project/documents");
+const { formatSignature, getDefinitions } = require("../parser");
+const { hashSignature } = require("../regexUtils");
+
+// Hex characters of the hash shown for each interface definition, errors use 4 byte selectors
+const HASH_LENGTHS = {
+    Function: 8,
+    Event: 64,
+    Error: 8
+};
+
+/**Provide Inlay Hints Handler
+ *
+ * The selector after every function and error definition, the topic after every event
+ * definition and the slot after every FREE_STORAGE_POINTER() constant. Slots come from the
+ * contracts compiling the document, constants they disagree about get no hint.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<Array<vscode.InlayHint>|undefined>}
+ */
+async function provideInlayHintsHandler(document, range, token) {
+    const project = getDocumentProject(document);
+    const file = project.files.get(document.uri.fsPath);
+    if (!file || token.isCancellationRequested) return;
+
+    const hints = [];
+    const hint = (definition, label, tooltip) => {
+        const position = document.positionAt(definition.range.end);
+        if (!range.contains(position)) return;
+
+        const inlayHint = new vscode.InlayHint(position, label);
+        inlayHint.paddingLeft = true;
+        inlayHint.tooltip = tooltip;
+        hints.push(inlayHint);
+    };
+
+    for (const definition of file.program.definitions) {
+        if (definition.type in HASH_LENGTHS) {
+            const signature = formatSignature(definition);
+            hint(definition, `0x${hashSignature(signature, HASH_LENGTHS[definition.type])}`, signature);
+        }
+    }
+
+    const slots = contractStorageSlots(await getContractProjects(file.path), file.path);
+    if (token.isCancellationRequested) return;
+    for (const definition of getDefinitions(file.program, "Constant")) {
+        if (!slots.has(definition.name)) continue;
+        const slot = slots.get(definition.name);
+        hint(definition, `slot ${slot}`, `Storage slot 0x${slot.toString(16)}`);
+    }
+    return hints;
+}
+
+module.exports = {
+    provideInlayHintsHandler
+}
@@ -5,7 +5,14 @@
  *
  * */
 const vscode = require("vscode");
+const path = require("path");
 const asmArr = require("./asm.json");
+const { symbolAt, definitionDetail, DEFINITION_TYPES } = require("../symbols");
+const { findDefinitions, contractStorageSlots } = require("../project");
+const { getDocumentProject, getContractProjects, toRange } = require("../project/documents");
+const { formatSignature } = require("../parser");
+const { hashSignature } = require("../regexUtils");
+const { BUILTIN_FUNCTIONS } = require("../builtins");
 
 function createHover(name, snippet, type) {
   var text = [];
@@ -83,7 +90,179 @@ function createHover(name, snippet, type) {
   }
 }
 
-function provideHoverHandler(document, position, token, type) {
+/**Definition Header
+ *
+ * The definition as it would be written in huff source
+ *
+ * @param {Object} definition
+ * @param {String} source
+ * @returns {String}
+ */
+function definitionHeader(definition, source) {
+  switch (definition.type) {
+    case "Macro":
+      return `#define ${definition.kind} ${definition.name}(${definition.args
+        .map((arg) => arg.name)
+        .join(", ")}) = takes(${definition.takes ?? 0}) returns(${
+        definition.returns ?? 0
+      })`;
+    case "Constant":
+      return `#define constant ${definition.name} = ${definitionDetail(
+        definition,
+        source
+      )}`;
+    case "Table":
+      return `#define ${definition.kind} ${definition.name}`;
+  }
+  return `#define ${definition.type.toLowerCase()} ${
+    definition.name
+  }${definitionDetail(definition, source)}`;
+}
+
+/**Is Storage Constant
+ *
+ * @param {Object} definition
+ * @returns {Boolean} Whether the definition is a FREE_STORAGE_POINTER() constant
+ */
+function isStorageConstant(definition) {
+  return (
+    definition.type === "Constant" &&
+    Boolean(definition.value) &&
+    definition.value.type === "FreeStoragePointer"
+  );
+}
+
+/**Definition Values
+ *
+ * Computed values shown below a definition: storage slots, literal values,
+ * selectors and event topics
+ *
+ * @param {Object} definition
+ * @param {Map<String, Number>} slots Storage slots of the definition's file, see contractStorageSlots
+ * @returns {Array<String>}
+ */
+function definitionValues(definition, slots = new Map()) {
+  switch (definition.type) {
+    case "Constant": {
+      if (!definition.value) return [];
+      if (isStorageConstant(definition)) {
+        const slot = slots.get(definition.name);
+        return slot !== undefined
+          ? [`storage slot: \`${slot}\` (\`0x${slot.toString(16)}\`)`]
+          : [];
+      }
+      const value = definition.value.value;
+      return value.length > 2 ? [`value: \`${BigInt(value).toString()}\``] : [];
+    }
+    case "Function":
+    case "Error": {
+      const signature = formatSignature(definition);
+      return [
+        `selector: \`0x${hashSignature(signature, 8)}\``,
+        `signature: \`${signature}\``,
+      ];
+    }
+    case "Event": {
+      const signature = formatSignature(definition);
+      return [
+        `topic: \`0x${hashSignature(signature)}\``,
+        `signature: \`${signature}\``,
+      ];
+    }
+  }
+  return [];
+}
+
+/**Create Definition Hover
+ *
+ * Storage slots are only shown when the contracts compiling the definition's file agree on them
+ *
+ * @param {Object} currentFile The file being hovered
+ * @param {Object} found The definition and the file it is defined in
+ * @param {vscode.Range} range
+ * @returns {Promise<vscode.Hover>}
+ */
+async function createDefinitionHover(currentFile, found, range) {
+  const { file, definition } = found;
+  const slots = isStorageConstant(definition)
+    ? contractStorageSlots(await getContractProjects(file.path), file.path)
+    : new Map();
+  const contents = new vscode.MarkdownString();
+  contents.appendCodeblock(definitionHeader(definition, file.source), "huff");
+
+  const sections = [
+    definitionValues(definition, slots).join("  \n"),
+    definition.natspec ? definition.natspec.split("\n").join("  \n") : "",
+    file !== currentFile ? `defined in \`${path.basename(file.path)}\`` : "",
+  ];
+  contents.appendMarkdown(sections.filter(Boolean).join("\n\n"));
+
+  return new vscode.Hover(contents, range);
+}
+
+/**Create Builtin Hover
+ *
+ * Describe the builtin and, when its argument resolves, the value it pushes
+ *
+ * @param {Object} project
+ * @param {Object} file
+ * @param {Object} call BuiltinCall node
+ * @param {vscode.Range} range
+ * @returns {vscode.Hover}
+ */
+function createBuiltinHover(project, file, call, range) {
+  const builtin = BUILTIN_FUNCTIONS[call.name];
+  const contents = new vscode.MarkdownString();
+  contents.appendCodeblock(
+    `${call.name}(${builtin ? builtin.params.join(", ") : ""})`,
+    "huff"
+  );
+
+  const sections = builtin ? [builtin.description] : [];
+  const [arg] = call.args;
+  if (arg && arg.type === "StringLiteral" && call.name === "__FUNC_SIG") {
+    sections.push(`selector: \`0x${hashSignature(arg.value, 8)}\``);
+  } else if (arg && arg.type === "Identifier") {
+    for (const type of ["Function", "Event", "Error"]) {
+      const [found] = findDefinitions(project, type, arg.name);
+      if (found) sections.push(definitionValues(found.definition).join("  \n"));
+    }
+  }
+  contents.appendMarkdown(sections.join("\n\n"));
+
+  return new vscode.Hover(contents, range);
+}
+
+/**Provide Symbol Hover
+ *
+ * Hover cards for macros, constants, interface definitions and builtins,
+ * resolved through the document's include chain
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {Promise<vscode.Hover|undefined>}
+ */
+async function provideSymbolHover(document, position) {
+  const project = getDocumentProject(document);
+  const file = project.files.get(document.uri.fsPath);
+  if (!file) return;
+
+  const symbol = symbolAt(file.program, document.offsetAt(position));
+  if (!symbol) return;
+
+  const range = toRange(file.source, symbol.range);
+  if (symbol.kind === "builtin") {
+    return createBuiltinHover(project, file, symbol.node, range);
+  }
+
+  const type = DEFINITION_TYPES[symbol.kind];
+  if (!type) return;
+
+  const [found] = findDefinitions(project, type, symbol.name);
+  if (found) return createDefinitionHover(file, found, range);
+}
+
+async function provideHoverHandler(document, position, token, type) {
   const range = document.getWordRangeAtPosition(position);
   
   if (!range || range.length <= 0) {
@@ -95,6 +274,11 @@ function provideHoverHandler(document, position, token, type) {
   if (token.isCancellationRequested) {
     return token;
   }
+
+  const symbolHover = await provideSymbolHover(document, position);
+  if (symbolHover) {
+    return symbolHover;
+  }
   
   for (const snippet in asmArr) {
     if (asmArr[snippet].prefix == word || asmArr[snippet].hover == word) {      
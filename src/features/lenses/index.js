@@ -0,0 +1,46 @@
+const vscode = require("vscode");
+const { parseCached } = require("../project");
+const { toRange } = require("../project/documents");
+const { formatSignature } = require("../parser");
+const { hashSignature } = require("../regexUtils");
+
+/**Provide Code Lenses Handler
+ *
+ * "Debug macro", "Expand" and "Est. gas" above every macro and fn, "Copy selector" and
+ * "Debug function" above every interface function
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.CancellationToken} token
+ * @returns {Array<vscode.CodeLens>|undefined}
+ */
+function provideCodeLensesHandler(document, token) {
+    const source = document.getText();
+    const program = parseCached(document.uri.fsPath, source);
+    if (token.isCancellationRequested) return;
+
+    const lenses = [];
+    const lens = (definition, title, command, args) => lenses.push(new vscode.CodeLens(
+        toRange(source, definition.range),
+        { title, command, arguments: [document.uri, ...args] }
+    ));
+
+    for (const definition of program.definitions) {
+        if (definition.type === "Macro" && definition.kind !== "test") {
+            lens(definition, "Debug macro", "huff.tools.debugMacro", [definition.name]);
+            lens(definition, "Expand", "huff.tools.expandMacro", [definition.name]);
+            lens(definition, "Est. gas", "huff.tools.estimateMacroGas", [definition.name]);
+        }
+
+        if (definition.type === "Function") {
+            const signature = formatSignature(definition);
+            const selector = `0x${hashSignature(signature, 8)}`;
+            lens(definition, `Copy selector ${selector}`, "huff.tools.copySelector", [selector]);
+            lens(definition, "Debug function", "huff.tools.debugFunction", [signature]);
+        }
+    }
+    return lenses;
+}
+
+module.exports = {
+    provideCodeLensesHandler
+}
@@ -0,0 +1,127 @@
+const vscode = require("vscode");
+const { symbolAt, resolveDefinitions, findReferences } = require("../symbols");
+const { getDocumentProject, getLinkedFiles, toLocation, toRange } = require("../project/documents");
+const { OPCODES } = require("../parser");
+
+// Symbols that are defined in huff source and can therefore be renamed
+const RENAMEABLE_KINDS = ["macro", "constant", "function", "event", "error", "table", "label", "argument"];
+const identifierRegex = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**Get Symbol at Position
+ *
+ * Load the document's include graph and find the symbol under the cursor
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {{project: Object, file: Object, symbol: Object}|null}
+ */
+function getSymbolAtPosition(document, position) {
+    const project = getDocumentProject(document);
+    const file = project.files.get(document.uri.fsPath);
+    if (!file) return null;
+
+    const symbol = symbolAt(file.program, document.offsetAt(position));
+    return symbol ? { project, file, symbol } : null;
+}
+
+/**Provide Definition Handler
+ *
+ * Resolve macros, fns, constants, interface definitions, tables and jump labels
+ * across the document's #include chain
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @param {vscode.CancellationToken} token
+ * @returns {Array<vscode.Location>|undefined}
+ */
+function provideDefinitionHandler(document, position, token) {
+    const found = getSymbolAtPosition(document, position);
+    if (!found || token.isCancellationRequested) return;
+
+    const { project, file, symbol } = found;
+    return resolveDefinitions(project, file, symbol).map(definition => toLocation(definition.file, definition.range));
+}
+
+/**Find Symbol References
+ *
+ * Search every file that is compiled together with the symbol's definition
+ *
+ * @param {{project: Object, file: Object, symbol: Object}} found
+ * @param {Boolean} includeDeclaration
+ * @returns {Promise<Array<{file: Object, range: Object}>>}
+ */
+async function findSymbolReferences({ project, file, symbol }, includeDeclaration) {
+    if (symbol.kind === "argument") return findReferences(new Map([[file.path, file]]), file, symbol, includeDeclaration);
+
+    const definitionPaths = resolveDefinitions(project, file, symbol).map(definition => definition.file.path);
+    const files = await getLinkedFiles([...new Set([file.path, ...definitionPaths])]);
+    return findReferences(files, file, symbol, includeDeclaration);
+}
+
+/**Provide References Handler
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @param {vscode.ReferenceContext} context
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<Array<vscode.Location>|undefined>}
+ */
+async function provideReferencesHandler(document, position, context, token) {
+    const found = getSymbolAtPosition(document, position);
+    if (!found || !RENAMEABLE_KINDS.includes(found.symbol.kind)) return;
+
+    const references = await findSymbolReferences(found, context.includeDeclaration);
+    if (token.isCancellationRequested) return;
+    return references.map(reference => toLocation(reference.file, reference.range));
+}
+
+/**Prepare Rename Handler
+ *
+ * Only symbols defined in huff source can be renamed, not opcodes, builtins or include paths
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @returns {vscode.Range}
+ */
+function prepareRenameHandler(document, position) {
+    const found = getSymbolAtPosition(document, position);
+    if (!found || !RENAMEABLE_KINDS.includes(found.symbol.kind)) {
+        throw new Error("You cannot rename this element.");
+    }
+    return toRange(found.file.source, found.symbol.range);
+}
+
+/**Provide Rename Edits Handler
+ *
+ * Rename a symbol, its invocations / references and its definition in every linked file
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @param {String} newName
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<vscode.WorkspaceEdit|undefined>}
+ */
+async function provideRenameEditsHandler(document, position, newName, token) {
+    const found = getSymbolAtPosition(document, position);
+    if (!found || !RENAMEABLE_KINDS.includes(found.symbol.kind)) {
+        throw new Error("You cannot rename this element.");
+    }
+    if (!identifierRegex.test(newName)) throw new Error(`"${newName}" is not a valid huff identifier.`);
+    if (OPCODES.has(newName)) throw new Error(`"${newName}" is an opcode.`);
+
+    const references = await findSymbolReferences(found, true);
+    if (token.isCancellationRequested) return;
+
+    const edit = new vscode.WorkspaceEdit();
+    for (const reference of references) {
+        edit.replace(vscode.Uri.file(reference.file.path), toRange(reference.file.source, reference.range), newName);
+    }
+    return edit;
+}
+
+module.exports = {
+    provideDefinitionHandler,
+    provideReferencesHandler,
+    prepareRenameHandler,
+    provideRenameEditsHandler
+}
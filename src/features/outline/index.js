@@ -0,0 +1,118 @@
+const vscode = require("vscode");
+const path = require("path");
+const { parseCached } = require("../project");
+const { readDocumentOrFile, toRange } = require("../project/documents");
+const { definitionDetail, getBodySymbols } = require("../symbols");
+
+/**Symbol Kind
+ *
+ * The vscode symbol kind used to display each definition
+ *
+ * @param {Object} definition
+ * @returns {vscode.SymbolKind}
+ */
+function symbolKind(definition) {
+    switch (definition.type) {
+        case "Macro": return definition.kind === "macro" ? vscode.SymbolKind.Function : vscode.SymbolKind.Method;
+        case "Constant": return vscode.SymbolKind.Constant;
+        case "Function": return vscode.SymbolKind.Interface;
+        case "Event": return vscode.SymbolKind.Event;
+        case "Error": return vscode.SymbolKind.Struct;
+        case "Table": return vscode.SymbolKind.Array;
+    }
+    return vscode.SymbolKind.Null;
+}
+
+/**Provide Document Symbols Handler
+ *
+ * Outline of every definition in the document, with jump labels nested below their macro
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.CancellationToken} token
+ * @returns {Array<vscode.DocumentSymbol>|undefined}
+ */
+function provideDocumentSymbolsHandler(document, token) {
+    const source = document.getText();
+    const program = parseCached(document.uri.fsPath, source);
+    if (token.isCancellationRequested) return;
+
+    return program.definitions.map(definition => {
+        const detail = definition.type === "Macro" && definition.kind !== "macro"
+            ? `${definition.kind} ${definitionDetail(definition, source)}`
+            : definitionDetail(definition, source);
+        const symbol = new vscode.DocumentSymbol(
+            definition.name,
+            detail,
+            symbolKind(definition),
+            toRange(source, definition.range),
+            toRange(source, definition.nameRange)
+        );
+
+        if (definition.type === "Macro") {
+            symbol.children = getBodySymbols(definition)
+                .filter(label => label.kind === "label" && label.isDefinition)
+                .map(label => new vscode.DocumentSymbol(
+                    label.name,
+                    "label",
+                    vscode.SymbolKind.Key,
+                    toRange(source, label.node.range),
+                    toRange(source, label.range)
+                ));
+        }
+        return symbol;
+    });
+}
+
+/**Matches Query
+ *
+ * Loose, case insensitive subsequence match. vscode does its own fuzzy ranking on the results.
+ *
+ * @param {String} name
+ * @param {String} query
+ * @returns {Boolean}
+ */
+function matchesQuery(name, query) {
+    const lowerName = name.toLowerCase();
+    let i = 0;
+    for (const ch of query.toLowerCase()) {
+        i = lowerName.indexOf(ch, i) + 1;
+        if (i === 0) return false;
+    }
+    return true;
+}
+
+/**Provide Workspace Symbols Handler
+ *
+ * Search the definitions of every huff file in the workspace
+ *
+ * @param {String} query
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<Array<vscode.SymbolInformation>|undefined>}
+ */
+async function provideWorkspaceSymbolsHandler(query, token) {
+    const uris = await vscode.workspace.findFiles("**/*.huff", "**/node_modules/**");
+    const symbols = [];
+
+    for (const uri of uris) {
+        if (token.isCancellationRequested) return;
+
+        const source = readDocumentOrFile(uri.fsPath);
+        if (source === null) continue;
+
+        for (const definition of parseCached(uri.fsPath, source).definitions) {
+            if (!matchesQuery(definition.name, query)) continue;
+            symbols.push(new vscode.SymbolInformation(
+                definition.name,
+                symbolKind(definition),
+                path.basename(uri.fsPath),
+                new vscode.Location(uri, toRange(source, definition.nameRange))
+            ));
+        }
+    }
+    return symbols;
+}
+
+module.exports = {
+    provideDocumentSymbolsHandler,
+    provideWorkspaceSymbolsHandler
+}
@@ -0,0 +1,60 @@
+const { parse, OPCODES, BUILTINS } = require("./parser");
+const { tokenize, TokenType } = require("./lexer");
+const { canonicalizeEvmType, formatSignature } = require("./types");
+
+/**Walk
+ *
+ * Visit every node of a macro or table body, descending into the arguments
+ * of macro invocations and builtin calls
+ *
+ * @param {Array<Object>} nodes A macro `body`
+ * @param {Function} visitor Called with (node, parent) for each node
+ * @param {Object} parent
+ */
+function walk(nodes, visitor, parent = null) {
+    for (const node of nodes) {
+        visitor(node, parent);
+        if (node.args && (node.type === "MacroCall" || node.type === "BuiltinCall")) {
+            walk(node.args, visitor, node);
+        }
+    }
+}
+
+/**Get Definitions
+ *
+ * Filter a program's definitions by node type
+ *
+ * @param {Object} program
+ * @param {String} type e.g. "Macro", "Constant", "Function"
+ * @returns {Array<Object>}
+ */
+function getDefinitions(program, type) {
+    return program.definitions.filter(definition => definition.type === type);
+}
+
+/**Remove Nodes
+ *
+ * Cut the source of each node out of `source`
+ *
+ * @param {String} source
+ * @param {Array<Object>} nodes
+ * @returns {String}
+ */
+function removeNodes(source, nodes) {
+    return [...nodes]
+        .sort((a, b) => b.range.start - a.range.start)
+        .reduce((text, node) => text.slice(0, node.range.start) + text.slice(node.range.end), source);
+}
+
+module.exports = {
+    parse,
+    tokenize,
+    walk,
+    getDefinitions,
+    removeNodes,
+    canonicalizeEvmType,
+    formatSignature,
+    TokenType,
+    OPCODES,
+    BUILTINS
+}
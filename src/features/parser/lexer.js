@@ -0,0 +1,133 @@
+/**Token Types
+ *
+ * Every token produced by the lexer has one of these types
+ */
+const TokenType = Object.freeze({
+    Directive: "Directive",           // #define, #include
+    DecoratorStart: "DecoratorStart", // #[
+    Ident: "Ident",
+    Hex: "Hex",
+    Number: "Number",
+    String: "String",
+    Comment: "Comment",
+    Punct: "Punct",
+    Unknown: "Unknown"
+});
+
+const PUNCTUATION = "(){}[]<>,=:;";
+
+const isIdentStart = (ch) => /[A-Za-z_$]/.test(ch);
+const isIdentPart = (ch) => /[A-Za-z0-9_$]/.test(ch);
+const isDigit = (ch) => /[0-9]/.test(ch);
+const isHexDigit = (ch) => /[0-9a-fA-F]/.test(ch);
+
+/**Tokenize
+ *
+ * Split huff source into tokens. The lexer never throws, anything it does not
+ * understand is emitted as an Unknown token and reported in `errors` so that
+ * the parser can keep going on half typed code.
+ *
+ * Every token carries its `start` and `end` (exclusive) offsets into the source.
+ *
+ * @param {String} source
+ * @returns {{tokens: Array<Object>, errors: Array<Object>}}
+ */
+function tokenize(source) {
+    const tokens = [];
+    const errors = [];
+    let i = 0;
+
+    const push = (type, start, end) => tokens.push({ type, value: source.slice(start, end), start, end });
+
+    while (i < source.length) {
+        const ch = source[i];
+        const start = i;
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Line comments
+        if (ch === "/" && source[i + 1] === "/") {
+            const end = source.indexOf("\n", i);
+            i = end === -1 ? source.length : end;
+            push(TokenType.Comment, start, i);
+            continue;
+        }
+
+        // Block comments
+        if (ch === "/" && source[i + 1] === "*") {
+            const end = source.indexOf("*/", i + 2);
+            if (end === -1) {
+                i = source.length;
+                errors.push({ message: "Unterminated block comment", range: { start, end: i } });
+            } else {
+                i = end + 2;
+            }
+            push(TokenType.Comment, start, i);
+            continue;
+        }
+
+        // Directives and decorators
+        if (ch === "#") {
+            if (source[i + 1] === "[") {
+                i += 2;
+                push(TokenType.DecoratorStart, start, i);
+                continue;
+            }
+            i++;
+            while (i < source.length && isIdentPart(source[i])) i++;
+            push(TokenType.Directive, start, i);
+            continue;
+        }
+
+        // Strings
+        if (ch === '"' || ch === "'") {
+            i++;
+            while (i < source.length && source[i] !== ch && source[i] !== "\n") i++;
+            if (source[i] === ch) {
+                i++;
+            } else {
+                errors.push({ message: "Unterminated string", range: { start, end: i } });
+            }
+            push(TokenType.String, start, i);
+            continue;
+        }
+
+        // Hex literals
+        if (ch === "0" && (source[i + 1] === "x" || source[i + 1] === "X")) {
+            i += 2;
+            while (i < source.length && isHexDigit(source[i])) i++;
+            push(TokenType.Hex, start, i);
+            continue;
+        }
+
+        if (isDigit(ch)) {
+            while (i < source.length && isDigit(source[i])) i++;
+            push(TokenType.Number, start, i);
+            continue;
+        }
+
+        if (isIdentStart(ch)) {
+            while (i < source.length && isIdentPart(source[i])) i++;
+            push(TokenType.Ident, start, i);
+            continue;
+        }
+
+        i++;
+        if (PUNCTUATION.includes(ch)) {
+            push(TokenType.Punct, start, i);
+        } else {
+            push(TokenType.Unknown, start, i);
+            errors.push({ message: `Unexpected character "${ch}"`, range: { start, end: i } });
+        }
+    }
+
+    return { tokens, errors };
+}
+
+module.exports = {
+    TokenType,
+    tokenize
+}
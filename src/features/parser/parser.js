@@ -0,0 +1,520 @@
+const { TokenType, tokenize } = require("./lexer");
+const { canonicalizeEvmType } = require("./types");
+const asmArr = require("../hover/asm.json");
+
+const OPCODES = new Set(Object.keys(asmArr).map(snippet => asmArr[snippet].prefix));
+const BUILTINS = ["__FUNC_SIG", "__EVENT_HASH", "__ERROR", "__tablestart", "__tablesize", "__codesize", "__RIGHTPAD", "__VERBATIM"];
+const MACRO_KINDS = ["macro", "fn", "test"];
+const TABLE_KINDS = ["jumptable", "jumptable__packed", "table"];
+const INTERFACE_TYPES = { function: "Function", event: "Event", error: "Error" };
+const STATE_MUTABILITY = ["view", "pure", "payable", "nonpayable"];
+const PARAM_MODIFIERS = ["memory", "calldata", "storage", "payable"];
+
+const rangeOf = (token) => ({ start: token.start, end: token.end });
+const unquote = (value) => value.replace(/^["']/, "").replace(/["']$/, "");
+
+/**Strip Comment Markers
+ *
+ * Remove the `//`, `/*` and leading `*` decorations from a comment so only the text remains
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function stripCommentMarkers(text) {
+    if (text.startsWith("/*")) {
+        return text
+            .replace(/^\/\*+/, "")
+            .replace(/\*+\/$/, "")
+            .split("\n")
+            .map(line => line.replace(/^\s*\*?\s?/, ""))
+            .join("\n")
+            .trim();
+    }
+    return text.replace(/^\/\/+\s?/, "");
+}
+
+/**Parser
+ *
+ * Recursive descent parser producing the huff AST. The parser is tolerant: errors are
+ * collected on `program.errors` and parsing resumes at the next `#define`, `#include` or
+ * decorator so that a single typo does not hide every definition after it.
+ *
+ * Every node has a `type` and a `range` of `{start, end}` source offsets (end exclusive).
+ */
+class Parser {
+    constructor(source) {
+        const { tokens, errors } = tokenize(source);
+        this.source = source;
+        this.comments = tokens.filter(token => token.type === TokenType.Comment);
+        this.tokens = tokens.filter(token => token.type !== TokenType.Comment);
+        this.errors = errors;
+        this.pos = 0;
+    }
+
+    // ----------------- Token helpers ----------------- //
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    atEnd() {
+        return this.pos >= this.tokens.length;
+    }
+
+    is(type, value, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token) && token.type === type && (value === undefined || token.value === value);
+    }
+
+    isPunct(value, offset = 0) {
+        return this.is(TokenType.Punct, value, offset);
+    }
+
+    isDefinitionBoundary() {
+        return this.is(TokenType.Directive) || this.is(TokenType.DecoratorStart);
+    }
+
+    eat(type, value) {
+        return this.is(type, value) ? this.next() : null;
+    }
+
+    expect(type, value, message) {
+        const token = this.eat(type, value);
+        if (!token) this.errorAtCurrent(message);
+        return token;
+    }
+
+    lastEnd() {
+        const token = this.tokens[this.pos - 1];
+        return token ? token.end : 0;
+    }
+
+    error(message, range) {
+        this.errors.push({ message, range });
+    }
+
+    errorAtCurrent(message) {
+        const token = this.peek();
+        this.error(message, token ? rangeOf(token) : { start: this.lastEnd(), end: this.lastEnd() });
+    }
+
+    synchronize() {
+        while (!this.atEnd() && !this.isDefinitionBoundary()) this.next();
+    }
+
+    // ----------------- Top level ----------------- //
+    parseProgram() {
+        const program = {
+            type: "Program",
+            includes: [],
+            definitions: [],
+            comments: this.comments,
+            errors: this.errors,
+            range: { start: 0, end: this.source.length }
+        };
+
+        let decorators = null;
+        while (!this.atEnd()) {
+            if (this.is(TokenType.Directive, "#include")) {
+                const include = this.parseInclude();
+                if (include) program.includes.push(include);
+                continue;
+            }
+            if (this.is(TokenType.DecoratorStart)) {
+                decorators = this.parseDecorators();
+                continue;
+            }
+            if (this.is(TokenType.Directive, "#define")) {
+                const definition = this.parseDefinition(decorators);
+                if (definition) program.definitions.push(definition);
+                decorators = null;
+                continue;
+            }
+
+            const token = this.next();
+            this.error(`Unexpected "${token.value}"`, rangeOf(token));
+            this.synchronize();
+        }
+
+        return program;
+    }
+
+    parseInclude() {
+        const directive = this.next();
+        const path = this.expect(TokenType.String, undefined, "Expected include path");
+        if (!path) return null;
+
+        return {
+            type: "Include",
+            path: unquote(path.value),
+            pathRange: { start: path.start + 1, end: path.start + 1 + unquote(path.value).length },
+            range: { start: directive.start, end: path.end }
+        };
+    }
+
+    parseDecorators() {
+        const open = this.next();
+        const items = [];
+
+        while (!this.atEnd() && !this.isPunct("]") && !this.isDefinitionBoundary()) {
+            if (this.eat(TokenType.Punct, ",")) continue;
+
+            const name = this.expect(TokenType.Ident, undefined, "Expected decorator name");
+            if (!name) {
+                this.next();
+                continue;
+            }
+
+            const args = [];
+            if (this.eat(TokenType.Punct, "(")) {
+                while (!this.atEnd() && !this.isPunct(")") && !this.isPunct("]") && !this.isDefinitionBoundary()) {
+                    const arg = this.next();
+                    if (arg.type !== TokenType.Punct) args.push({ value: unquote(arg.value), range: rangeOf(arg) });
+                }
+                this.expect(TokenType.Punct, ")", 'Expected ")"');
+            }
+            items.push({ name: name.value, args, range: { start: name.start, end: this.lastEnd() } });
+        }
+        this.expect(TokenType.Punct, "]", 'Expected "]"');
+
+        return { items, range: { start: open.start, end: this.lastEnd() } };
+    }
+
+    parseDefinition(decorators) {
+        const directive = this.next();
+        const kind = this.expect(TokenType.Ident, undefined, "Expected definition type after #define");
+        if (!kind) {
+            this.synchronize();
+            return null;
+        }
+
+        let definition;
+        if (MACRO_KINDS.includes(kind.value)) definition = this.parseMacro(kind.value, decorators);
+        else if (kind.value === "constant") definition = this.parseConstant();
+        else if (kind.value in INTERFACE_TYPES) definition = this.parseInterface(kind.value);
+        else if (TABLE_KINDS.includes(kind.value)) definition = this.parseTable(kind.value);
+        else this.error(`Unknown definition type "${kind.value}"`, rangeOf(kind));
+
+        if (!definition) {
+            this.synchronize();
+            return null;
+        }
+
+        definition.range = { start: directive.start, end: this.lastEnd() };
+        definition.natspec = this.natspecBefore(decorators ? decorators.range.start : directive.start);
+        return definition;
+    }
+
+    // ----------------- Definitions ----------------- //
+    parseMacro(kind, decorators) {
+        const name = this.expect(TokenType.Ident, undefined, `Expected ${kind} name`);
+        if (!name) return null;
+
+        const args = [];
+        if (this.eat(TokenType.Punct, "(")) {
+            while (!this.atEnd() && !this.isPunct(")") && !this.isPunct("=") && !this.isPunct("{") && !this.isDefinitionBoundary()) {
+                const arg = this.next();
+                if (arg.type === TokenType.Ident) args.push({ name: arg.value, range: rangeOf(arg) });
+                else if (arg.value !== ",") this.error(`Unexpected "${arg.value}" in ${kind} arguments`, rangeOf(arg));
+            }
+            this.expect(TokenType.Punct, ")", 'Expected ")"');
+        }
+        this.eat(TokenType.Punct, "=");
+
+        const takes = this.parseStackCount("takes");
+        const returns = this.parseStackCount("returns");
+
+        const macro = {
+            type: "Macro",
+            kind,
+            name: name.value,
+            nameRange: rangeOf(name),
+            args,
+            takes: takes.value,
+            takesRange: takes.range,
+            returns: returns.value,
+            returnsRange: returns.range,
+            decorators: decorators ? decorators.items : [],
+            body: [],
+            bodyRange: null
+        };
+
+        const open = this.expect(TokenType.Punct, "{", 'Expected "{"');
+        if (open) {
+            const block = this.parseBlock(open);
+            macro.body = block.body;
+            macro.bodyRange = block.range;
+        }
+        return macro;
+    }
+
+    parseStackCount(keyword) {
+        if (!this.is(TokenType.Ident, keyword)) return { value: null, range: null };
+
+        const start = this.next().start;
+        this.expect(TokenType.Punct, "(", 'Expected "("');
+        const count = this.eat(TokenType.Number) || this.eat(TokenType.Hex);
+        if (!count) this.errorAtCurrent(`Expected ${keyword} count`);
+        this.expect(TokenType.Punct, ")", 'Expected ")"');
+
+        const value = count ? Number(count.value) : NaN;
+        return { value: isNaN(value) ? null : value, range: { start, end: this.lastEnd() } };
+    }
+
+    parseConstant() {
+        const name = this.expect(TokenType.Ident, undefined, "Expected constant name");
+        if (!name) return null;
+        this.expect(TokenType.Punct, "=", 'Expected "="');
+
+        let value = null;
+        const token = this.peek();
+        if (this.is(TokenType.Hex)) {
+            this.next();
+            value = { type: "Literal", value: token.value, range: rangeOf(token) };
+        } else if (this.is(TokenType.Ident, "FREE_STORAGE_POINTER")) {
+            this.next();
+            this.expect(TokenType.Punct, "(", 'Expected "("');
+            this.expect(TokenType.Punct, ")", 'Expected ")"');
+            value = { type: "FreeStoragePointer", range: { start: token.start, end: this.lastEnd() } };
+        } else {
+            this.errorAtCurrent("Expected a hex literal or FREE_STORAGE_POINTER()");
+        }
+
+        return { type: "Constant", name: name.value, nameRange: rangeOf(name), value };
+    }
+
+    parseInterface(kind) {
+        const name = this.expect(TokenType.Ident, undefined, `Expected ${kind} name`);
+        if (!name) return null;
+
+        const definition = {
+            type: INTERFACE_TYPES[kind],
+            name: name.value,
+            nameRange: rangeOf(name),
+            params: this.parseParameterList()
+        };
+
+        if (kind === "function") {
+            definition.stateMutability = "nonpayable";
+            definition.outputs = [];
+            while (this.is(TokenType.Ident)) {
+                const modifier = this.peek().value;
+                if (STATE_MUTABILITY.includes(modifier)) {
+                    this.next();
+                    definition.stateMutability = modifier;
+                } else if (modifier === "returns") {
+                    this.next();
+                    definition.outputs = this.parseParameterList();
+                } else {
+                    break;
+                }
+            }
+        }
+        return definition;
+    }
+
+    parseParameterList() {
+        const params = [];
+        if (!this.expect(TokenType.Punct, "(", 'Expected "("')) return params;
+
+        while (!this.atEnd() && !this.isPunct(")") && !this.isDefinitionBoundary()) {
+            if (this.eat(TokenType.Punct, ",")) continue;
+            const param = this.parseParameter();
+            if (param) params.push(param);
+        }
+        this.expect(TokenType.Punct, ")", 'Expected ")"');
+        return params;
+    }
+
+    parseParameter() {
+        const start = this.peek().start;
+        let baseType;
+        let components = null;
+
+        if (this.isPunct("(") || (this.is(TokenType.Ident, "tuple") && this.isPunct("(", 1))) {
+            this.eat(TokenType.Ident, "tuple");
+            components = this.parseParameterList();
+            baseType = "tuple";
+        } else if (this.is(TokenType.Ident)) {
+            baseType = canonicalizeEvmType(this.next().value);
+        } else {
+            const token = this.next();
+            this.error(`Unexpected "${token.value}" in parameter list`, rangeOf(token));
+            return null;
+        }
+
+        let arraySuffix = "";
+        while (this.eat(TokenType.Punct, "[")) {
+            const size = this.eat(TokenType.Number);
+            this.expect(TokenType.Punct, "]", 'Expected "]"');
+            arraySuffix += `[${size ? size.value : ""}]`;
+        }
+
+        let indexed = false;
+        let name = null;
+        let nameRange = null;
+        while (this.is(TokenType.Ident)) {
+            const token = this.peek();
+            if (token.value === "indexed") indexed = true;
+            else if (PARAM_MODIFIERS.includes(token.value)) { /* data locations do not change the abi type */ }
+            else if (name === null) {
+                name = token.value;
+                nameRange = rangeOf(token);
+            } else break;
+            this.next();
+        }
+
+        const type = components
+            ? `(${components.map(component => component.type).join(",")})${arraySuffix}`
+            : `${baseType}${arraySuffix}`;
+
+        return { type, baseType, arraySuffix, components, name, nameRange, indexed, range: { start, end: this.lastEnd() } };
+    }
+
+    parseTable(kind) {
+        const name = this.expect(TokenType.Ident, undefined, "Expected table name");
+        if (!name) return null;
+
+        // Tolerate `#define jumptable NAME() = {` as well as `#define jumptable NAME {`
+        if (this.eat(TokenType.Punct, "(")) this.expect(TokenType.Punct, ")", 'Expected ")"');
+        this.eat(TokenType.Punct, "=");
+
+        const table = { type: "Table", kind, name: name.value, nameRange: rangeOf(name), body: [], bodyRange: null };
+        const open = this.expect(TokenType.Punct, "{", 'Expected "{"');
+        if (open) {
+            const block = this.parseBlock(open);
+            table.body = block.body;
+            table.bodyRange = block.range;
+        }
+        return table;
+    }
+
+    // ----------------- Bodies ----------------- //
+    parseBlock(open) {
+        const body = [];
+        while (!this.atEnd() && !this.isPunct("}") && !this.isDefinitionBoundary()) {
+            const node = this.parseBodyElement(false);
+            if (node) body.push(node);
+        }
+
+        const close = this.eat(TokenType.Punct, "}");
+        if (!close) this.error('Unclosed "{"', rangeOf(open));
+        return { body, range: { start: open.end, end: close ? close.start : this.lastEnd() } };
+    }
+
+    parseBodyElement(inArgs) {
+        const token = this.next();
+        switch (token.type) {
+            case TokenType.Hex:
+                return { type: "Literal", value: token.value, range: rangeOf(token) };
+            case TokenType.String:
+                return { type: "StringLiteral", value: unquote(token.value), range: rangeOf(token) };
+            case TokenType.Ident:
+                return this.parseIdentifier(token, inArgs);
+            case TokenType.Punct:
+                if (token.value === "[") return this.parseReference(token, "]", "ConstantReference", "constant name");
+                if (token.value === "<") return this.parseReference(token, ">", "ArgumentReference", "argument name");
+        }
+
+        this.error(`Unexpected "${token.value}"`, rangeOf(token));
+        return null;
+    }
+
+    parseReference(open, close, type, description) {
+        const name = this.expect(TokenType.Ident, undefined, `Expected ${description}`);
+        this.expect(TokenType.Punct, close, `Expected "${close}"`);
+        if (!name) return null;
+        return { type, name: name.value, nameRange: rangeOf(name), range: { start: open.start, end: this.lastEnd() } };
+    }
+
+    parseIdentifier(token, inArgs) {
+        if (!inArgs && this.isPunct(":")) {
+            this.next();
+            return { type: "LabelDefinition", name: token.value, nameRange: rangeOf(token), range: { start: token.start, end: this.lastEnd() } };
+        }
+
+        if (this.isPunct("(")) return this.parseCall(token);
+
+        if (OPCODES.has(token.value)) return { type: "Opcode", name: token.value, range: rangeOf(token) };
+        return { type: "LabelReference", name: token.value, nameRange: rangeOf(token), range: rangeOf(token) };
+    }
+
+    parseCall(token) {
+        const isBuiltin = BUILTINS.includes(token.value) || token.value.startsWith("__");
+        const open = this.next();
+        const args = [];
+
+        while (!this.atEnd() && !this.isPunct(")") && !this.isPunct("}") && !this.isDefinitionBoundary()) {
+            if (this.eat(TokenType.Punct, ",")) continue;
+
+            // Builtins take raw identifiers, e.g. __FUNC_SIG(transfer) or __tablesize(TABLE)
+            if (isBuiltin && this.is(TokenType.Ident) && !this.isPunct("(", 1)) {
+                const arg = this.next();
+                args.push({ type: "Identifier", name: arg.value, nameRange: rangeOf(arg), range: rangeOf(arg) });
+                continue;
+            }
+
+            const arg = this.parseBodyElement(true);
+            if (arg) args.push(arg);
+        }
+
+        const close = this.expect(TokenType.Punct, ")", 'Expected ")"');
+        return {
+            type: isBuiltin ? "BuiltinCall" : "MacroCall",
+            name: token.value,
+            nameRange: rangeOf(token),
+            args,
+            argsRange: { start: open.end, end: close ? close.start : this.lastEnd() },
+            range: { start: token.start, end: this.lastEnd() }
+        };
+    }
+
+    // ----------------- Comments ----------------- //
+    /**Natspec Before
+     *
+     * Collect the run of doc comments (`///` or `/** *\/`) directly above `offset`
+     *
+     * @param {Number} offset
+     * @returns {String|null}
+     */
+    natspecBefore(offset) {
+        const lines = [];
+        let boundary = offset;
+
+        for (let i = this.comments.length - 1; i >= 0; i--) {
+            const comment = this.comments[i];
+            if (comment.end > boundary) continue;
+            if (this.source.slice(comment.end, boundary).trim() !== "") break;
+            if (!comment.value.startsWith("///") && !comment.value.startsWith("/**")) break;
+
+            // Trailing comments after code belong to that line, not to the definition below
+            const lineStart = this.source.lastIndexOf("\n", comment.start - 1) + 1;
+            if (this.source.slice(lineStart, comment.start).trim() !== "") break;
+
+            lines.unshift(stripCommentMarkers(comment.value));
+            boundary = comment.start;
+        }
+
+        return lines.length ? lines.join("\n").trim() : null;
+    }
+}
+
+/**Parse
+ *
+ * Parse huff source into a Program node
+ *
+ * @param {String} source
+ * @returns {Object} Program node with `includes`, `definitions`, `comments` and `errors`
+ */
+function parse(source) {
+    return new Parser(source || "").parseProgram();
+}
+
+module.exports = {
+    parse,
+    OPCODES,
+    BUILTINS
+}
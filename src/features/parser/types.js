@@ -0,0 +1,41 @@
+const TYPE_ALIASES = {
+    'int': 'int256',
+    'uint': 'uint256',
+    'fixed': 'fixed128x18',
+    'ufixed': 'ufixed128x18',
+    'function': 'bytes24',
+};
+const evmTypeRegex = new RegExp(`(?<type>(${Object.keys(TYPE_ALIASES).join('|')}))(?<tail>(\\[[^\\]]*\\])?)$`, 'g');
+
+
+/**Cannoicalize Evm Types
+ *
+ * Convert abitypes and aliases
+ *
+ * @param {*} evmArg
+ * @returns
+ */
+function canonicalizeEvmType(evmArg) {
+    function replacer(...groups) {
+        const foundings = groups.pop();
+        return `${TYPE_ALIASES[foundings.type]}${foundings.tail}`;
+    }
+    return evmArg.replace(evmTypeRegex, replacer);
+}
+
+/**Format Signature
+ *
+ * Create the canonical signature of a function, event or error node, e.g. `transfer(address,uint256)`
+ *
+ * @param {Object} definition A Function, Event or Error node from the parser
+ * @returns {String}
+ */
+function formatSignature(definition) {
+    return `${definition.name}(${definition.params.map(param => param.type).join(",")})`;
+}
+
+module.exports = {
+    TYPE_ALIASES,
+    canonicalizeEvmType,
+    formatSignature
+}
@@ -0,0 +1,134 @@
+const vscode = require("vscode");
+const { loadProject, loadLinkedFiles, readFromDisk, positionAt } = require("./index");
+const { LANGUAGE_ID } = require("../../settings");
+
+/**Read Document or File
+ *
+ * Prefer the contents of an open editor so unsaved changes are respected
+ *
+ * @param {String} filePath
+ * @returns {String|null}
+ */
+function readDocumentOrFile(filePath) {
+    const document = vscode.workspace.textDocuments.find(doc => doc.uri.fsPath === filePath);
+    return document ? document.getText() : readFromDisk(filePath);
+}
+
+/**Get Document Project
+ *
+ * Load the include graph rooted at a vscode document
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {Object} project, see loadProject
+ */
+function getDocumentProject(document) {
+    const rootPath = document.uri.fsPath;
+    return loadProject(rootPath, (filePath) => filePath === rootPath ? document.getText() : readDocumentOrFile(filePath));
+}
+
+// Files each workspace .huff file compiles when used as a contract root, see getIncludeGraph
+let includeGraph = null;
+
+/**Get Include Graph
+ *
+ * Read and parse every huff file in the workspace once, the result is reused until a huff
+ * file is saved, created or deleted
+ *
+ * @returns {Promise<Map<String, Array<String>>>} root path to the paths of the files it compiles
+ */
+function getIncludeGraph() {
+    if (!includeGraph) {
+        includeGraph = vscode.workspace.findFiles("**/*.huff", "**/node_modules/**").then(uris => new Map(uris.map(uri => [
+            uri.fsPath,
+            [...loadProject(uri.fsPath, readDocumentOrFile).files.keys()]
+        ])));
+        includeGraph.catch(() => { includeGraph = null; });
+    }
+    return includeGraph;
+}
+
+/**Watch Include Graph
+ *
+ * Drop the cached include graph whenever a huff file is saved, created or deleted
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function watchIncludeGraph(context) {
+    const invalidate = () => { includeGraph = null; };
+    const watcher = vscode.workspace.createFileSystemWatcher("**/*.huff");
+    context.subscriptions.push(
+        watcher,
+        watcher.onDidCreate(invalidate),
+        watcher.onDidDelete(invalidate),
+        vscode.workspace.onDidSaveTextDocument(document => {
+            if (document.languageId === LANGUAGE_ID) invalidate();
+        })
+    );
+}
+
+/**Get Linked Files
+ *
+ * Find every file in the workspace that is compiled together with any of `filePaths`.
+ * Only the contracts the include graph links them to are loaded again, so open editors
+ * are read with their unsaved changes.
+ *
+ * @param {Array<String>} filePaths
+ * @returns {Promise<Map<String, Object>>}
+ */
+async function getLinkedFiles(filePaths) {
+    const graph = await getIncludeGraph();
+    const roots = [...graph]
+        .filter(([, files]) => filePaths.some(filePath => files.includes(filePath)))
+        .map(([root]) => root);
+    return loadLinkedFiles(filePaths, roots, readDocumentOrFile);
+}
+
+/**Get Contract Projects
+ *
+ * The contracts compiling a file: the workspace files no other file includes whose include
+ * chain contains it, loaded with the unsaved changes of open editors
+ *
+ * @param {String} filePath
+ * @returns {Promise<Array<Object>>} projects, see loadProject
+ */
+async function getContractProjects(filePath) {
+    const graph = await getIncludeGraph();
+    const included = new Set([...graph].flatMap(([root, files]) => files.filter(file => file !== root)));
+    return [...graph]
+        .filter(([root, files]) => !included.has(root) && files.includes(filePath))
+        .map(([root]) => loadProject(root, readDocumentOrFile));
+}
+
+/**To Range
+ *
+ * Convert an AST `{start, end}` offset range into a vscode.Range
+ *
+ * @param {String} source
+ * @param {{start: Number, end: Number}} range
+ * @returns {vscode.Range}
+ */
+function toRange(source, range) {
+    const start = positionAt(source, range.start);
+    const end = positionAt(source, range.end);
+    return new vscode.Range(start.line, start.character, end.line, end.character);
+}
+
+/**To Location
+ *
+ * @param {Object} file A project file
+ * @param {{start: Number, end: Number}} range
+ * @returns {vscode.Location}
+ */
+function toLocation(file, range) {
+    return new vscode.Location(vscode.Uri.file(file.path), toRange(file.source, range));
+}
+
+module.exports = {
+    getDocumentProject,
+    getLinkedFiles,
+    getContractProjects,
+    watchIncludeGraph,
+    readDocumentOrFile,
+    toRange,
+    toLocation
+}
@@ -0,0 +1,222 @@
+const fs = require("fs");
+const path = require("path");
+const { parse, getDefinitions } = require("../parser");
+
+// Parsed programs keyed by file path, reused for as long as the source is unchanged
+const parseCache = new Map();
+
+/**Parse Cached
+ *
+ * @param {String} filePath
+ * @param {String} source
+ * @returns {Object} Program node
+ */
+function parseCached(filePath, source) {
+    const cached = parseCache.get(filePath);
+    if (cached && cached.source === source) return cached.program;
+
+    const program = parse(source);
+    parseCache.set(filePath, { source, program });
+    return program;
+}
+
+/**Resolve Include Path
+ *
+ * Includes are relative to the file that declares them
+ *
+ * @param {String} fromFile Path of the file containing the #include
+ * @param {String} includePath The path as written in the #include
+ * @returns {String}
+ */
+function resolveIncludePath(fromFile, includePath) {
+    return path.join(path.dirname(fromFile), includePath);
+}
+
+/**Read From Disk
+ *
+ * @param {String} filePath
+ * @returns {String|null} null when the file cannot be read
+ */
+function readFromDisk(filePath) {
+    try {
+        return fs.readFileSync(filePath).toString();
+    } catch (e) {
+        return null;
+    }
+}
+
+/**Load Project
+ *
+ * Parse a file and every file reachable through its #include chain.
+ * Files are ordered as huffc inlines them - each file's includes come before the file itself.
+ *
+ * @param {String} rootPath
+ * @param {Function} readFile Returns the source of a path, or null if it does not exist
+ * @returns {{root: String, files: Map<String, Object>, missing: Array<Object>}}
+ */
+function loadProject(rootPath, readFile = readFromDisk) {
+    const files = new Map();
+    const missing = [];
+    const visited = new Set();
+
+    const visit = (filePath) => {
+        if (visited.has(filePath)) return true;
+        visited.add(filePath);
+
+        const source = readFile(filePath);
+        if (source === null || source === undefined) return false;
+
+        const program = parseCached(filePath, source);
+        for (const include of program.includes) {
+            if (!visit(resolveIncludePath(filePath, include.path))) {
+                missing.push({ path: filePath, include });
+            }
+        }
+        files.set(filePath, { path: filePath, source, program });
+        return true;
+    };
+    visit(rootPath);
+
+    return { root: rootPath, files, missing };
+}
+
+/**Load Linked Files
+ *
+ * Collect every file that is compiled together with any of `filePaths`, that is the
+ * include chains of every candidate root that contains one of them
+ *
+ * @param {Array<String>} filePaths
+ * @param {Array<String>} candidatePaths Possible contract roots, usually every huff file in the workspace
+ * @param {Function} readFile
+ * @returns {Map<String, Object>} files keyed by path
+ */
+function loadLinkedFiles(filePaths, candidatePaths, readFile = readFromDisk) {
+    const linked = new Map();
+    const roots = [...new Set([...filePaths, ...candidatePaths])];
+
+    for (const rootPath of roots) {
+        const project = loadProject(rootPath, readFile);
+        if (!filePaths.some(filePath => project.files.has(filePath))) continue;
+        for (const [filePath, file] of project.files) linked.set(filePath, file);
+    }
+    return linked;
+}
+
+/**Find Definitions
+ *
+ * Find every definition of a given type and name across a project
+ *
+ * @param {Object} project
+ * @param {String} type Parser node type e.g. "Macro"
+ * @param {String} name
+ * @returns {Array<{file: Object, definition: Object}>}
+ */
+function findDefinitions(project, type, name) {
+    const found = [];
+    for (const file of project.files.values()) {
+        for (const definition of getDefinitions(file.program, type)) {
+            if (definition.name === name) found.push({ file, definition });
+        }
+    }
+    return found;
+}
+
+/**Get Storage Slots
+ *
+ * huffc hands out FREE_STORAGE_POINTER() slots in definition order across the flattened
+ * contract, so the slots depend on the order of the include chain
+ *
+ * @param {Object} project
+ * @returns {Array<{slot: Number, name: String, file: Object, definition: Object}>}
+ */
+function getStorageSlots(project) {
+    const slots = [];
+    for (const file of project.files.values()) {
+        for (const definition of getDefinitions(file.program, "Constant")) {
+            if (!definition.value || definition.value.type !== "FreeStoragePointer") continue;
+            slots.push({ slot: slots.length, name: definition.name, file, definition });
+        }
+    }
+    return slots;
+}
+
+/**Contract Storage Slots
+ *
+ * The FREE_STORAGE_POINTER() slots of the constants a file defines, as assigned by the
+ * contracts compiling it. A constant the contracts give different slots has none.
+ *
+ * @param {Array<Object>} contracts Projects whose include chain contains the file, see loadProject
+ * @param {String} filePath
+ * @returns {Map<String, Number>} constant name to its slot
+ */
+function contractStorageSlots(contracts, filePath) {
+    const slots = new Map();
+    const conflicting = new Set();
+    for (const contract of contracts) {
+        for (const { slot, name, file } of getStorageSlots(contract)) {
+            if (file.path !== filePath) continue;
+            if (slots.has(name) && slots.get(name) !== slot) conflicting.add(name);
+            slots.set(name, slot);
+        }
+    }
+    for (const name of conflicting) slots.delete(name);
+    return slots;
+}
+
+/**Line Index
+ *
+ * Map offsets to zero based line numbers
+ *
+ * @param {String} source
+ * @returns {{lineOf: Function, lineStart: Function, lineEnd: Function}}
+ */
+function lineIndex(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) if (source[i] === "\n") starts.push(i + 1);
+
+    const lineOf = (offset) => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (starts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    };
+    const lineStart = (line) => starts[line];
+    const lineEnd = (line) => line + 1 < starts.length ? starts[line + 1] - 1 : source.length;
+    return { lineOf, lineStart, lineEnd };
+}
+
+// Line index of the last source positionAt was called with, ranges convert two offsets of one source
+let lastIndex = { source: null, index: null };
+
+/**Position At
+ *
+ * Convert a source offset into a zero based line / character position
+ *
+ * @param {String} source
+ * @param {Number} offset
+ * @returns {{line: Number, character: Number}}
+ */
+function positionAt(source, offset) {
+    if (lastIndex.source !== source) lastIndex = { source, index: lineIndex(source) };
+
+    offset = Math.min(offset, source.length);
+    const line = lastIndex.index.lineOf(offset);
+    return { line, character: offset - lastIndex.index.lineStart(line) };
+}
+
+module.exports = {
+    loadProject,
+    loadLinkedFiles,
+    findDefinitions,
+    getStorageSlots,
+    contractStorageSlots,
+    parseCached,
+    resolveIncludePath,
+    readFromDisk,
+    lineIndex,
+    positionAt
+}
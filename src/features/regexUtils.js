@@ -1,5 +1,26 @@
 // Dependencies
 const createKeccakHash = require('keccak');
+const { parse, getDefinitions, formatSignature, canonicalizeEvmType } = require("./parser");
+
+// Hash length and default constant suffix of each kind of interface definition
+const SIGNATURE_KINDS = {
+    function: { type: "Function", returnLength: 8, suffix: "_SELECTOR" },
+    event: { type: "Event", returnLength: 64, suffix: "_TOPIC" },
+    error: { type: "Error", returnLength: 8, suffix: "_SELECTOR" }
+};
+
+/**Interface Signature Extractor
+ * 
+ * Extract the hashes of every function, event or error defined in the current file
+ * 
+ * @param {String} content 
+ * @param {String} kind "function", "event" or "error"
+ * @returns 
+ */
+function interfaceSignatureExtractor(content, kind){
+    const { type, returnLength } = SIGNATURE_KINDS[kind];
+    return signatureExtractor(getDefinitions(parse(content), type), returnLength)
+}
 
 /**Function Signature Extractor
  * 
@@ -9,9 +30,7 @@ const createKeccakHash = require('keccak');
  * @returns 
  */
  function functionSignatureExtractor(content){
-    const publicFuncSigRegex = /function\s+(?<name>[^\(\s]+)\s?\((?<args>[^\)]*)\)/g;
-    
-    return signatureExtractor(content, publicFuncSigRegex, 8)
+    return interfaceSignatureExtractor(content, "function")
 }
 
 /**Event Signature Extractor
@@ -21,34 +40,45 @@ const createKeccakHash = require('keccak');
  * @returns 
  */
 function eventSignatureExtractor(content){
-    const interfaceFuncSigRegex = /event\s+(?<name>[^\(\s]+)\s?\((?<args>[^\)]*)\)/g;
+    return interfaceSignatureExtractor(content, "event")
+}
 
-    return signatureExtractor(content, interfaceFuncSigRegex)
+/**Error Signature Extractor
+ * 
+ * Get the 4 byte selectors of all of the custom errors defined within the current file
+ * @param {String} content 
+ * @returns 
+ */
+function errorSignatureExtractor(content){
+    return interfaceSignatureExtractor(content, "error")
 }
 
 /**Signature Extractor
  * 
- * Given the current workpage and a regex pattern (assumed to be looking for evm types)
- * return keccak of those sigs. Specify return length if getting func sigs.  
+ * Given function, event or error definitions from the parser return keccak of their 
+ * signatures. Specify return length if getting func sigs.  
  * 
- * @param {*} content 
- * @param {*} matchPattern 
+ * Different signatures sharing a hash are reported in `collisions`, only the first 
+ * of them is kept in `sigHashes`.
+ * 
+ * @param {Array<Object>} definitions 
  * @param {*} returnLength 
- * @returns 
+ * @returns {{sigHashes: Object, collisions: Array<{hash: String, signatures: Array<String>}>}}
  */
-function signatureExtractor(content, matchPattern, returnLength=64){
+function signatureExtractor(definitions, returnLength=64){
 
-    let match;
     let sigHashes = {};
-    let collisions = {};
+    let collisions = [];
 
-    while (match = matchPattern.exec(content)){
-        let args = match.groups.args.replace(commentRegex(), "").split(",").map(item => canonicalizeEvmType(item.trim().split(" ")[0]));
-        let fnSig = `${match.groups.name.trim()}(${args.join(",")})`;
-        let sigHash = createKeccakHash('keccak256').update(fnSig).digest("hex").toString("hex").slice(0,returnLength);
+    for (const definition of definitions){
+        let fnSig = formatSignature(definition);
+        let sigHash = hashSignature(fnSig, returnLength);
         
         if (sigHash in sigHashes && sigHashes[sigHash] !== fnSig){
-            collisions.push(sigHash);
+            const collision = collisions.find(collision => collision.hash === sigHash);
+            if (!collision) collisions.push({hash: sigHash, signatures: [sigHashes[sigHash], fnSig]});
+            else if (!collision.signatures.includes(fnSig)) collision.signatures.push(fnSig);
+            continue;
         }
         sigHashes[sigHash] = fnSig;
     }
@@ -56,6 +86,54 @@ function signatureExtractor(content, matchPattern, returnLength=64){
     return {sigHashes, collisions}
 }
 
+/**Signature Constants
+ * 
+ * Write a `#define constant` for every extracted hash, named after the definition 
+ * in upper snake case followed by `suffix`. Names already in `taken` use `fallbackSuffix` 
+ * instead, then a number, so overloads and definitions of other kinds sharing a name 
+ * never define the same constant twice.
+ * 
+ * @param {Object} sigHashes hash to signature, as returned by signatureExtractor
+ * @param {String} suffix e.g. _SELECTOR
+ * @param {Set<String>} taken Constant names already written, the new names are added to it
+ * @param {String} fallbackSuffix e.g. _TOPIC for events
+ * @returns {String}
+ */
+function signatureConstants(sigHashes, suffix, taken = new Set(), fallbackSuffix = suffix){
+    let content = "";
+    for (let hash in sigHashes){
+        const name = toUpperSnakeCase(sigHashes[hash].split("(")[0]);
+        let constant = taken.has(`${name}${suffix}`) ? `${name}${fallbackSuffix}` : `${name}${suffix}`;
+        for (let i = 2; taken.has(constant); i++) constant = `${name}_${i}${suffix}`;
+
+        taken.add(constant);
+        content += `#define constant ${constant} = 0x${hash}\n`
+    }
+    return content;
+}
+
+/**Format Collisions
+ * 
+ * @param {Array<{hash: String, signatures: Array<String>}>} collisions 
+ * @returns {String} e.g. 0x12345678 (a(uint256), b(bytes))
+ */
+function formatCollisions(collisions){
+    return collisions.map(({hash, signatures}) => `0x${hash} (${signatures.join(", ")})`).join(", ");
+}
+
+/**Hash Signature
+ * 
+ * Keccak a canonical signature, truncated to `returnLength` hex characters:
+ * 8 for function and error selectors, 64 for event topics
+ * 
+ * @param {String} signature e.g. transfer(address,uint256)
+ * @param {Number} returnLength 
+ * @returns {String} hex without 0x prefix
+ */
+function hashSignature(signature, returnLength=64){
+    return createKeccakHash('keccak256').update(signature).digest("hex").toString("hex").slice(0,returnLength);
+}
+
 /**Get Function Signature and args
  * 
  * Parse all of the function definitions for the current file
@@ -63,17 +141,14 @@ function signatureExtractor(content, matchPattern, returnLength=64){
  * @returns 
  */
 function getFunctionSignaturesAndArgs(content){
-    const publicFuncSigRegex = /function\s+(?<name>[^\(\s]+)\s?\((?<args>[^\)]*)\)/g;
-    // const publicFuncSigRegex = /function\s+(?<name>[^\(\s]+)\s?\((?<args>[^\)]*)\).*(public|external)?/g;
-    let match;
     let sighashes = {};
     let collisions = [];
 
-    while (match = publicFuncSigRegex.exec(content)){
-        let args = (match.groups.args.length) ? match.groups.args.replace(commentRegex(), "").split(",").map(item => canonicalizeEvmType(item.trim().split(" ")[0])) : [];
-        let fnSig = `${match.groups.name.trim()}(${args.join(",")})`;
-        let sigHash = createKeccakHash('keccak256').update(fnSig).digest("hex").toString("hex").slice(0,8);
-        if (sigHash in sighashes && sighashes[sigHash] !== fnSig){
+    for (const definition of getDefinitions(parse(content), "Function")){
+        let args = definition.params.map(param => param.type);
+        let fnSig = formatSignature(definition);
+        let sigHash = hashSignature(fnSig, 8);
+        if (sigHash in sighashes && sighashes[sigHash].fnSig !== fnSig){
             collisions.push(sigHash);
         }
         sighashes[sigHash] = {fnSig, args};
@@ -83,20 +158,20 @@ function getFunctionSignaturesAndArgs(content){
 
 /**Get Macros
  * 
- * Get all of the macro definitions in the current file
+ * Get all of the macro, fn and test definitions in the current file.
+ * Omitted takes / returns default to 0, matching huffc.
  * @param {String} content 
  * @returns {Object}
  */
 function getMacros(content){
-    //takes(?<takes>[^\)]*)\)
-    const macroRegex = /#define\s+macro\s+(?<name>[^\(\s]+)\s?\((?<args>[^\)]*)\)\s?=\s?takes\s?\((?<takes>[\d])\)\s?returns\s?\((?<returns>[\d])\)\s?{(?<body>[\s\S]*?(?=}))/gsm;
-    let match;
     let macros = {};
     
-    // find all of the macros and add them to the return object
-    while (match = macroRegex.exec(content)){
-        const {name, takes, returns, body} = match.groups;
-        macros[name] = { takes, returns, body }
+    for (const macro of getDefinitions(parse(content), "Macro")){
+        macros[macro.name] = {
+            takes: macro.takes ?? 0,
+            returns: macro.returns ?? 0,
+            body: macro.bodyRange ? content.slice(macro.bodyRange.start, macro.bodyRange.end) : ""
+        }
     }
     return macros;
 }
@@ -108,16 +183,7 @@ function getMacros(content){
  * @returns 
  */
 function getImports(content){
-    const importRegex = /#include\s+(?<file>[^\(\s]+)/gm;
-
-    let match;
-    let imports = [];
-    
-    while (match = importRegex.exec(content)){
-        // get the match pattern
-        imports.push(match[0]);
-    }
-    return imports;
+    return parse(content).includes.map(include => `#include "${include.path}"`);
 }
 
 
@@ -130,60 +196,32 @@ function getImports(content){
  */
  const camelToSnakeCase = str => str.replace(/\B(?=[A-Z])/g, letter => `_${letter.toLowerCase()}`);
 
- const splitCaps = str => str
-    .replace(/([a-z])([A-Z]+)/g, (m, s1, s2) => s1 + ' ' + s2)
-    .replace(/([A-Z])([A-Z]+)([^a-zA-Z0-9]*)$/, (m, s1, s2, s3) => s1 + s2.toLowerCase() + s3)
-    .replace(/([A-Z]+)([A-Z][a-z])/g, 
-        (m, s1, s2) => s1.toLowerCase() + ' ' + s2);
-
 /**To Upper Snake Case
  *
- * Convert a normal camel-case string to upper snake case
- * Uses [splitCaps] and [camelToSnakeCase].
+ * Convert a normal camel-case string to upper snake case. Runs of capitals are kept
+ * together, e.g. balanceOf -> BALANCE_OF, getURI -> GET_URI, ERC20Transfer -> ERC20_TRANSFER
  *  
  * @param {*} str 
  * @returns An uppercase snake case representation of camel case input
  */
-const toUpperSnakeCase = str => camelToSnakeCase(splitCaps(str)).toUpperCase();
-
- ////////////////////////////////////////////////
- //              REGEX DEFINITIONS             //
- ////////////////////////////////////////////////
- const commentRegex = () => new RegExp(`(?:${commentRegex.line().source})|(?:${commentRegex.block().source})`, 'gm');
- commentRegex.line = () => /(?:^|\s)\/\/(.+?)$/gm;
- commentRegex.block = () => /\/\*([\S\s]*?)\*\//gm;
- 
- const TYPE_ALIASES = {
-     'int': 'int256',
-     'uint': 'uint256',
-     'fixed': 'fixed128x18',
-     'ufixed': 'ufixed128x18',
-     'function': 'bytes24',
- };
- const evmTypeRegex = new RegExp(`(?<type>(${Object.keys(TYPE_ALIASES).join('|')}))(?<tail>(\\[[^\\]]*\\])?)$`, 'g');
- 
- 
- /**Cannoicalize Evm Types
-  * 
-  * Convert abitypes and aliases
-  * 
-  * @param {*} evmArg 
-  * @returns 
-  */
- function canonicalizeEvmType(evmArg) {
-     function replacer(...groups) {
-         const foundings = groups.pop();
-         return `${TYPE_ALIASES[foundings.type]}${foundings.tail}`;
-     }
-     return evmArg.replace(evmTypeRegex, replacer);
- }
+const toUpperSnakeCase = str => str
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1_$2")
+    .toUpperCase();
 
 module.exports = {
+    interfaceSignatureExtractor,
     functionSignatureExtractor,
     eventSignatureExtractor,
+    errorSignatureExtractor,
+    signatureConstants,
+    formatCollisions,
+    SIGNATURE_KINDS,
     toUpperSnakeCase,
     camelToSnakeCase,
     getFunctionSignaturesAndArgs,
     getMacros,
-    getImports
+    getImports,
+    canonicalizeEvmType,
+    hashSignature
 }
\ No newline at end of file
@@ -0,0 +1,104 @@
+const vscode = require("vscode");
+const { findDefinitions } = require("../project");
+const { getDocumentProject } = require("../project/documents");
+const { definitionDetail } = require("../symbols");
+const { BUILTIN_FUNCTIONS } = require("../builtins");
+
+/**Call At
+ *
+ * Find the invocation whose parentheses contain `offset` by scanning back from it. Works on
+ * the raw text as the call is usually incomplete while it is being typed.
+ *
+ * @param {String} source
+ * @param {Array<Object>} comments Comment tokens, skipped while scanning
+ * @param {Number} offset
+ * @returns {{name: String, activeParameter: Number}|null}
+ */
+function callAt(source, comments, offset) {
+    const inComment = (i) => comments.some(comment => comment.start <= i && i < comment.end);
+    let depth = 0;
+    let activeParameter = 0;
+
+    for (let i = offset - 1; i >= 0; i--) {
+        if (inComment(i)) continue;
+
+        const ch = source[i];
+        if (ch === "{" || ch === "}") return null;
+        if (ch === ")") depth++;
+        else if (ch === "," && depth === 0) activeParameter++;
+        else if (ch === "(") {
+            if (depth-- > 0) continue;
+
+            // Skip the argument lists of definitions, e.g. `#define macro NAME(`
+            const name = /(#define\s+\w+\s+)?([A-Za-z_$][A-Za-z0-9_$]*)\s*$/.exec(source.slice(0, i));
+            return name && !name[1] ? { name: name[2], activeParameter } : null;
+        }
+    }
+    return null;
+}
+
+/**Signature Information
+ *
+ * @param {String} label
+ * @param {Array<String>} params
+ * @param {String|vscode.MarkdownString} documentation
+ * @returns {vscode.SignatureInformation}
+ */
+function signatureInformation(label, params, documentation) {
+    const signature = new vscode.SignatureInformation(label, documentation);
+
+    // Highlight parameters by offset, names may also appear in the macro name
+    let searchFrom = label.indexOf("(") + 1;
+    signature.parameters = params.map(param => {
+        const start = label.indexOf(param, searchFrom);
+        searchFrom = start + param.length;
+        return new vscode.ParameterInformation([start, start + param.length]);
+    });
+    return signature;
+}
+
+/**Provide Signature Help Handler
+ *
+ * Show the argument list and takes / returns of the macro being invoked, or the parameters
+ * of a builtin, with the argument under the cursor highlighted
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ * @param {vscode.CancellationToken} token
+ * @returns {vscode.SignatureHelp|undefined}
+ */
+function provideSignatureHelpHandler(document, position, token) {
+    const project = getDocumentProject(document);
+    const file = project.files.get(document.uri.fsPath);
+    if (!file || token.isCancellationRequested) return;
+
+    const call = callAt(file.source, file.program.comments, document.offsetAt(position));
+    if (!call) return;
+
+    let signature;
+    const builtin = BUILTIN_FUNCTIONS[call.name];
+    if (builtin) {
+        signature = signatureInformation(`${call.name}(${builtin.params.join(", ")})`, builtin.params, builtin.description);
+    } else {
+        const [found] = findDefinitions(project, "Macro", call.name);
+        if (!found) return;
+
+        const macro = found.definition;
+        signature = signatureInformation(
+            `${macro.name}${definitionDetail(macro, found.file.source)}`,
+            macro.args.map(arg => arg.name),
+            macro.natspec ? new vscode.MarkdownString(macro.natspec) : undefined
+        );
+    }
+
+    const help = new vscode.SignatureHelp();
+    help.signatures = [signature];
+    help.activeSignature = 0;
+    help.activeParameter = call.activeParameter;
+    return help;
+}
+
+module.exports = {
+    provideSignatureHelpHandler,
+    callAt
+}
@@ -0,0 +1,154 @@
+const asmArr = require("../hover/asm.json");
+const { findDefinitions, getStorageSlots } = require("../project");
+const { expandMacro } = require("../expansion");
+
+// huffc pushes jump destinations and table offsets with PUSH2
+const LABEL_PUSH_SIZE = 3;
+const BUILTIN_SIZES = {
+    __FUNC_SIG: 5,
+    __EVENT_HASH: 33,
+    __ERROR: 33,
+    __RIGHTPAD: 33,
+    __tablestart: LABEL_PUSH_SIZE,
+    __tablesize: LABEL_PUSH_SIZE,
+    __codesize: LABEL_PUSH_SIZE
+};
+
+// Bytes taken by each entry of a jump table
+const TABLE_ENTRY_SIZES = {
+    jumptable: 32,
+    jumptable__packed: 2
+};
+
+/**Push Size
+ *
+ * Size of the PUSH huffc emits for a hex literal: the opcode plus the literal without
+ * its leading zeros, at least one byte
+ *
+ * @param {String} hex e.g. 0x0004
+ * @returns {Number}
+ */
+function pushSize(hex) {
+    const digits = hex.slice(2).replace(/^0+/, "");
+    return 1 + Math.max(1, Math.ceil(digits.length / 2));
+}
+
+/**Encoded Size
+ *
+ * Bytes a single expanded node compiles to
+ *
+ * @param {Object} project
+ * @param {Object} node
+ * @returns {Number}
+ */
+function encodedSize(project, node) {
+    switch (node.type) {
+        case "Opcode": return asmArr[node.name] ? asmArr[node.name].instr_size : 1;
+        case "Literal": return pushSize(node.value);
+        case "LabelDefinition": return asmArr.jumpdest.instr_size;
+        case "LabelReference": return LABEL_PUSH_SIZE;
+        case "ConstantReference": {
+            const [found] = findDefinitions(project, "Constant", node.name);
+            const value = found && found.definition.value;
+            if (value && value.type === "Literal") return pushSize(value.value);
+
+            const slot = getStorageSlots(project).find(candidate => candidate.name === node.name);
+            return pushSize(`0x${(slot ? slot.slot : 0).toString(16)}`);
+        }
+        case "BuiltinCall": {
+            if (node.name !== "__VERBATIM") return BUILTIN_SIZES[node.name] || LABEL_PUSH_SIZE;
+            const [bytes] = node.args;
+            return bytes && bytes.type === "Literal" ? Math.ceil((bytes.value.length - 2) / 2) : 0;
+        }
+        // An argument that was not passed, assume a small push
+        case "ArgumentReference": return 2;
+    }
+    return 0;
+}
+
+/**Table Size
+ *
+ * @param {Object} table
+ * @returns {Number}
+ */
+function tableSize(table) {
+    if (TABLE_ENTRY_SIZES[table.kind]) return table.body.length * TABLE_ENTRY_SIZES[table.kind];
+    return table.body.reduce((size, node) => size + (node.type === "Literal" ? (node.value.length - 2) / 2 : 0), 0);
+}
+
+/**Size Breakdown
+ *
+ * Estimate how many bytes each macro contributes to the code of an entry point such as
+ * MAIN. A macro contributes its own instructions once for every time it is inlined;
+ * instructions of the macros it invokes are counted towards those macros. Jump and code
+ * tables referenced through `__tablestart` / `__tablesize` are listed once.
+ *
+ * @param {Object} project
+ * @param {Object} file The project file defining the entry point
+ * @param {Object} macro The entry point
+ * @returns {{total: Number, rows: Array<Object>}} rows are
+ *  `{kind, name, file, count, size, inclusiveSize, contribution}` where `size` is the
+ *  average size of one inlined copy without nested invocations and `inclusiveSize` with them
+ */
+function sizeBreakdown(project, file, macro) {
+    const rows = new Map();
+    const tables = new Set();
+    const rowFor = (name, rowFile) => {
+        if (!rows.has(name)) rows.set(name, { kind: "macro", name, file: rowFile, count: 0, contribution: 0, inclusive: 0 });
+        return rows.get(name);
+    };
+
+    // Returns the size of the items including nested invocations
+    const visit = (items, row) => {
+        let inclusive = 0;
+        for (const item of items) {
+            if (item.children) {
+                if (!item.macro) continue;
+
+                const child = rowFor(item.macro.definition.name, item.macro.file);
+                child.count++;
+                const size = visit(item.children, child);
+                child.inclusive += size;
+                inclusive += size;
+                continue;
+            }
+
+            if (item.node.type === "BuiltinCall" && ["__tablestart", "__tablesize"].includes(item.node.name)) {
+                const [table] = item.node.args;
+                if (table && table.name) tables.add(table.name);
+            }
+            const size = encodedSize(project, item.node);
+            row.contribution += size;
+            inclusive += size;
+        }
+        return inclusive;
+    };
+
+    const root = rowFor(macro.name, file);
+    root.count = 1;
+    root.inclusive = visit(expandMacro(project, file, macro), root);
+
+    const result = [...rows.values()].map(({ inclusive, ...row }) => ({
+        ...row,
+        size: Math.round(row.contribution / row.count),
+        inclusiveSize: Math.round(inclusive / row.count)
+    }));
+
+    for (const name of tables) {
+        const [found] = findDefinitions(project, "Table", name);
+        if (!found) continue;
+        const size = tableSize(found.definition);
+        result.push({ kind: found.definition.kind, name, file: found.file, count: 1, size, inclusiveSize: size, contribution: size });
+    }
+
+    return {
+        total: result.reduce((total, row) => total + row.contribution, 0),
+        rows: result.sort((a, b) => b.contribution - a.contribution)
+    };
+}
+
+module.exports = {
+    sizeBreakdown,
+    encodedSize,
+    pushSize
+}
@@ -0,0 +1,136 @@
+const vscode = require("vscode");
+const path = require("path");
+const { getDocumentProject } = require("../project/documents");
+const { findDefinitions } = require("../project");
+const { compile } = require("../debugger/debuggerUtils");
+const { getNonce } = require("../debugger/providerUtils");
+const { sizeBreakdown } = require("./index");
+
+// The spurious dragon limit on deployed code
+const MAX_CODE_SIZE = 24576;
+
+let panel = null;
+let lastReport = null;
+
+/**Byte Length
+ *
+ * @param {String} bytecode 0x prefixed hex
+ * @returns {Number}
+ */
+function byteLength(bytecode) {
+    return (bytecode.length - 2) / 2;
+}
+
+/**Show Size Report
+ *
+ * Compile the contract of the active document and show its creation and runtime code size,
+ * along with an estimate of how much of the runtime code each macro inlined into MAIN makes up
+ *
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.TextDocument} document
+ */
+async function showSizeReport(context, document) {
+    if (!document) return;
+    if (document.isDirty && !(await document.save())) return;
+
+    const project = getDocumentProject(document);
+    const [main] = findDefinitions(project, "Macro", "MAIN");
+    if (!main) {
+        vscode.window.showErrorMessage("Size report: the contract does not define a MAIN macro");
+        return;
+    }
+
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+    const cwd = folder ? folder.uri.fsPath : path.dirname(document.uri.fsPath);
+    const fileName = folder ? vscode.workspace.asRelativePath(document.uri, false) : path.basename(document.uri.fsPath);
+
+    let creation, runtime;
+    try {
+        creation = compile(cwd, fileName);
+        runtime = compile(cwd, fileName, true);
+    } catch (e) {
+        vscode.window.showErrorMessage(`Size report: compilation failed\n${e.stderr ? e.stderr.toString() : e.message}`);
+        return;
+    }
+
+    const { total, rows } = sizeBreakdown(project, main.file, main.definition);
+    const report = {
+        contract: vscode.workspace.asRelativePath(document.uri),
+        creationSize: byteLength(creation),
+        runtimeSize: byteLength(runtime),
+        maxCodeSize: MAX_CODE_SIZE,
+        estimatedSize: total,
+        rows: rows.map(({ file, ...row }) => ({ ...row, file: vscode.workspace.asRelativePath(file.path) }))
+    };
+
+    if (!panel) {
+        panel = vscode.window.createWebviewPanel("huff.sizeReport", "Huff Size Report", vscode.ViewColumn.Beside, {
+            enableScripts: true,
+            localResourceRoots: [context.extensionUri]
+        });
+        panel.webview.html = getHtmlForWebView(panel.webview, context.extensionUri);
+        panel.onDidDispose(() => { panel = null; });
+        panel.webview.onDidReceiveMessage((data) => {
+            if (data.type === "ready" && lastReport) panel.webview.postMessage({ type: "receiveReport", report: lastReport });
+        });
+    } else {
+        panel.reveal(vscode.ViewColumn.Beside);
+    }
+
+    lastReport = report;
+    panel.webview.postMessage({ type: "receiveReport", report });
+}
+
+/**Get Html For Web View
+ *
+ * @param {vscode.Webview} webview
+ * @param {vscode.Uri} extensionUri
+ * @returns {String}
+ */
+function getHtmlForWebView(webview, extensionUri) {
+    const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, "webview", "size", "size.main.js"));
+    const styleVSCodeUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, "webview", "css", "vscode.css"));
+    const styleMainUri = webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, "webview", "css", "main.css"));
+
+    // Use nonce to allow only a specific script to be run
+    const nonce = getNonce();
+
+    return `<!DOCTYPE html>
+                <html>
+                    <head>
+                        <meta charset="UTF-8">
+                        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+                        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+
+                        <link href="${styleVSCodeUri}" rel="stylesheet">
+                        <link href="${styleMainUri}" rel="stylesheet">
+
+                        <title>Huff Size Report</title>
+                    </head>
+                    <body>
+                        <h3 class="size-contract"></h3>
+                        <ul class="size-summary"></ul>
+
+                        <table class="size-table">
+                            <thead>
+                                <tr>
+                                    <th data-sort="name">Name</th>
+                                    <th data-sort="kind">Kind</th>
+                                    <th data-sort="count">Inlined</th>
+                                    <th data-sort="size">Size</th>
+                                    <th data-sort="inclusiveSize">Incl. nested</th>
+                                    <th data-sort="contribution">Contribution</th>
+                                    <th data-sort="file">File</th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+
+                        <script type="module" nonce="${nonce}" src="${scriptUri}"></script>
+                    </body>
+                </html>`;
+}
+
+module.exports = {
+    showSizeReport
+}
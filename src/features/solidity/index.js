@@ -0,0 +1,214 @@
+const { canonicalizeEvmType } = require("../parser");
+
+const DATA_LOCATIONS = ["memory", "calldata", "storage"];
+const STATE_MUTABILITY = ["view", "pure", "payable"];
+const ELEMENTARY_TYPE = /^(address|bool|string|bytes\d*|u?int\d*|u?fixed(\d+x\d+)?|function)$/;
+
+/**Strip Comments
+ *
+ * Blank out comments, keeping offsets and line breaks intact
+ *
+ * @param {String} source
+ * @returns {String}
+ */
+function stripComments(source) {
+    return source.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g, (match) =>
+        match.startsWith("/") ? match.replace(/[^\n]/g, " ") : match
+    );
+}
+
+/**Matching Close
+ *
+ * @param {String} source
+ * @param {Number} open Offset of an opening bracket
+ * @returns {Number} Offset of the bracket closing it, or the end of the source
+ */
+function matchingClose(source, open) {
+    const pairs = { "(": ")", "{": "}", "[": "]" };
+    const close = pairs[source[open]];
+    let depth = 0;
+    for (let i = open; i < source.length; i++) {
+        if (source[i] === source[open]) depth++;
+        else if (source[i] === close && --depth === 0) return i;
+    }
+    return source.length;
+}
+
+/**Split Top Level
+ *
+ * Split a list at the separators that are not nested in brackets
+ *
+ * @param {String} text
+ * @param {String} separator
+ * @returns {Array<String>} Trimmed, non empty parts
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if ("([{".includes(text[i])) depth++;
+        else if (")]}".includes(text[i])) depth--;
+        else if (text[i] === separator && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**Parse Parameter
+ *
+ * Split a Solidity parameter or struct member into its type and name, dropping
+ * data locations and `payable`
+ *
+ * @param {String} text e.g. `Order[] calldata orders`
+ * @returns {{type: String, name: String|null, indexed: Boolean}}
+ */
+function parseParameter(text) {
+    const words = text.replace(/\s*(\[[^\]]*\])/g, "$1").split(/\s+/);
+    const type = words.shift();
+    const rest = words.filter(word => !DATA_LOCATIONS.includes(word) && word !== "payable");
+    const indexed = rest.includes("indexed");
+    const name = rest.filter(word => word !== "indexed")[0] || null;
+    return { type, name, indexed };
+}
+
+/**Collect Types
+ *
+ * The user defined types a Solidity source declares: struct members, enums,
+ * user defined value types and the names of contracts and interfaces
+ *
+ * @param {String} source Without comments
+ * @returns {{structs: Object, enums: Set<String>, valueTypes: Object, contracts: Set<String>}}
+ */
+function collectTypes(source) {
+    const structs = {};
+    const enums = new Set();
+    const valueTypes = {};
+    const contracts = new Set();
+
+    for (const match of source.matchAll(/\bstruct\s+(\w+)\s*\{/g)) {
+        const open = match.index + match[0].length - 1;
+        structs[match[1]] = splitTopLevel(source.slice(open + 1, matchingClose(source, open)), ";").map(parseParameter);
+    }
+    for (const match of source.matchAll(/\benum\s+(\w+)\s*\{/g)) enums.add(match[1]);
+    for (const match of source.matchAll(/\btype\s+(\w+)\s+is\s+(\w+)\s*;/g)) valueTypes[match[1]] = match[2];
+    for (const match of source.matchAll(/\b(?:interface|contract|library)\s+(\w+)/g)) contracts.add(match[1]);
+
+    return { structs, enums, valueTypes, contracts };
+}
+
+/**Resolve Type
+ *
+ * Convert a Solidity type into its canonical ABI type. Structs become tuples, enums uint8,
+ * contracts and interfaces address and user defined value types their underlying type.
+ *
+ * @param {String} type e.g. `IFoo.Order[]`
+ * @param {Object} types See collectTypes
+ * @param {Array<String>} warnings Types that cannot be converted are reported here
+ * @param {Array<String>} resolving Structs being resolved, to stop recursive structs
+ * @returns {String}
+ */
+function resolveType(type, types, warnings, resolving = []) {
+    const [, qualified, arraySuffix] = type.match(/^([\w.]+)((?:\[[^\]]*\])*)$/) || [null, type, ""];
+    const base = qualified.split(".").pop();
+
+    if (ELEMENTARY_TYPE.test(base)) return `${canonicalizeEvmType(base)}${arraySuffix}`;
+    if (types.structs[base] && !resolving.includes(base)) {
+        const members = types.structs[base].map(member => resolveType(member.type, types, warnings, [...resolving, base]));
+        return `(${members.join(",")})${arraySuffix}`;
+    }
+    if (types.enums.has(base)) return `uint8${arraySuffix}`;
+    if (types.valueTypes[base]) return `${canonicalizeEvmType(types.valueTypes[base])}${arraySuffix}`;
+    if (types.contracts.has(base)) return `address${arraySuffix}`;
+
+    warnings.push(`Unknown type "${type}" was kept as is`);
+    return type;
+}
+
+/**Format Parameters
+ *
+ * @param {String} text A Solidity parameter list without its parentheses
+ * @param {Object} types
+ * @param {Array<String>} warnings
+ * @returns {String}
+ */
+function formatParameters(text, types, warnings) {
+    return splitTopLevel(text, ",")
+        .map(parseParameter)
+        .map(({ type, name, indexed }) => [resolveType(type, types, warnings), indexed ? "indexed" : null, name].filter(Boolean).join(" "))
+        .join(", ");
+}
+
+/**Solidity To Huff
+ *
+ * Translate the external functions, events and errors of Solidity interfaces or contracts
+ * into huff interface definitions. Declarations outside of an interface, such as a selection
+ * of a few functions, are converted too.
+ *
+ * @param {String} source Solidity source
+ * @returns {{content: String, warnings: Array<String>}}
+ */
+function solidityToHuff(source) {
+    source = stripComments(source);
+    const types = collectTypes(source);
+    const warnings = [];
+
+    // Contract bodies, to group the definitions by the interface declaring them
+    const containers = [];
+    for (const match of source.matchAll(/\b(?:interface|contract|library)\s+(\w+)[^{;]*\{/g)) {
+        const open = match.index + match[0].length - 1;
+        containers.push({ name: match[1], start: open, end: matchingClose(source, open), lines: [] });
+    }
+    const loose = { name: null, lines: [] };
+    const containerAt = (offset) => containers.filter(container => container.start < offset && offset < container.end).pop() || loose;
+
+    let skipUntil = 0;
+    for (const match of source.matchAll(/\b(function|event|error)\s+(\w+)\s*\(/g)) {
+        if (match.index < skipUntil) continue;
+
+        const [, kind, name] = match;
+        const open = match.index + match[0].length - 1;
+        const close = matchingClose(source, open);
+        const params = formatParameters(source.slice(open + 1, close), types, warnings);
+
+        // Modifiers run up to the end of the declaration, function bodies are skipped
+        const end = source.slice(close).search(/[;{]/) + close;
+        let modifiers = source.slice(close + 1, end < close ? source.length : end);
+        if (source[end] === "{") skipUntil = matchingClose(source, end);
+
+        const container = containerAt(match.index);
+        if (kind === "event") {
+            if (/\banonymous\b/.test(modifiers)) warnings.push(`Event ${name} is anonymous, huff events always emit their topic`);
+            container.lines.push(`#define event ${name}(${params})`);
+            continue;
+        }
+        if (kind === "error") {
+            container.lines.push(`#define error ${name}(${params})`);
+            continue;
+        }
+
+        if (/\b(internal|private)\b/.test(modifiers)) continue;
+
+        let outputs = "";
+        const returns = modifiers.search(/\breturns\s*\(/);
+        if (returns !== -1) {
+            const outputsOpen = modifiers.indexOf("(", returns);
+            outputs = formatParameters(modifiers.slice(outputsOpen + 1, matchingClose(modifiers, outputsOpen)), types, warnings);
+            modifiers = modifiers.slice(0, returns);
+        }
+        const stateMutability = STATE_MUTABILITY.find(modifier => new RegExp(`\\b${modifier}\\b`).test(modifiers)) || "nonpayable";
+        container.lines.push(`#define function ${name}(${params}) ${stateMutability} returns (${outputs})`);
+    }
+
+    const sections = [loose, ...containers]
+        .filter(container => container.lines.length)
+        .map(container => [container.name ? `// ${container.name}` : null, ...container.lines].filter(Boolean).join("\n"));
+    return { content: sections.length ? `${sections.join("\n\n")}\n` : "", warnings: [...new Set(warnings)] };
+}
+
+module.exports = {
+    solidityToHuff
+}
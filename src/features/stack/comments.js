@@ -0,0 +1,205 @@
+const { simulateStack } = require("./index");
+
+const stackCommentRegex = /^\/\/\s*\[/;
+const ELLIPSIS = "...";
+
+// Spaces between the longest line of code and an aligned stack comment
+const STACK_COMMENT_GAP = 4;
+
+/**Read Stack Comment
+ *
+ * Read the items of a `// [a, b, c]` comment, splitting on top level commas only
+ *
+ * @param {String} text The comment including its `//`
+ * @returns {{items: Array<String>, trailing: String}|null} null when the comment is not a stack comment
+ */
+function readStackComment(text) {
+    const match = stackCommentRegex.exec(text);
+    if (!match) return null;
+
+    // Find the matching close bracket, items may contain brackets of their own
+    const open = text.indexOf("[");
+    let depth = 0;
+    let close = -1;
+    for (let i = open; i < text.length && close < 0; i++) {
+        if ("[(".includes(text[i])) depth++;
+        else if ("])".includes(text[i]) && --depth === 0) close = i;
+    }
+    if (close < 0) return null;
+
+    const items = [];
+    let item = "";
+    depth = 0;
+    for (const ch of text.slice(open + 1, close)) {
+        if ("[(".includes(ch)) depth++;
+        if (")]".includes(ch)) depth--;
+        if (ch === "," && depth === 0) {
+            items.push(item.trim());
+            item = "";
+        } else {
+            item += ch;
+        }
+    }
+    if (item.trim() || items.length) items.push(item.trim());
+    return { items, trailing: text.slice(close + 1).trim() };
+}
+
+/**Parse Stack Comment
+ *
+ * @param {String} text The comment including its `//`
+ * @returns {Array<String>|null} The items, top of the stack first
+ */
+function parseStackComment(text) {
+    const read = readStackComment(text);
+    return read ? read.items : null;
+}
+
+const formatStackComment = (stack) => `// [${stack.join(", ")}]`;
+
+const lineStart = (source, offset) => source.lastIndexOf("\n", offset - 1) + 1;
+const lineEnd = (source, offset) => {
+    const end = source.indexOf("\n", offset);
+    return end < 0 ? source.length : end;
+};
+
+/**Body Comments
+ *
+ * The `//` comments inside a macro's braces
+ *
+ * @param {Object} program
+ * @param {Object} macro
+ * @returns {Array<Object>} comment tokens
+ */
+const bodyComments = (program, macro) => program.comments.filter(comment =>
+    comment.value.startsWith("//") && comment.start >= macro.bodyRange.start && comment.end <= macro.bodyRange.end
+);
+
+/**Initial Stack
+ *
+ * A stack comment above the first instruction names the items the macro takes.
+ * Otherwise they are named `in0`, `in1`, ...
+ *
+ * @param {Object} program
+ * @param {Object} macro
+ * @returns {Array<String>|Number}
+ */
+function initialStack(program, macro) {
+    const takes = macro.takes ?? 0;
+    const first = macro.body[0];
+    const comment = bodyComments(program, macro).find(comment => !first || comment.end <= first.range.start);
+    const items = comment && parseStackComment(comment.value);
+    return items && items.length === takes && !items.includes(ELLIPSIS) ? items : takes;
+}
+
+/**Reliable Steps
+ *
+ * The simulated steps up to the first stack underflow. The stack checker reports the
+ * underflow, after it the depths are meaningless.
+ *
+ * @param {Array<Object>} steps See simulateStack
+ * @returns {Array<Object>}
+ */
+function reliableSteps(steps) {
+    const underflow = steps.findIndex(step => step.before < step.effect.pops);
+    return underflow < 0 ? steps : steps.slice(0, underflow);
+}
+
+/**Annotate Macro Stack
+ *
+ * Edits that put the inferred stack after each line of a macro as a `// [a, b, c]` comment.
+ * Existing stack comments are replaced and other trailing comments are kept after the stack.
+ * Comments are aligned into one column. Lines the stack cannot be inferred for, or that
+ * follow a stack underflow, are left alone.
+ *
+ * @param {String} source
+ * @param {Object} program
+ * @param {Object} macro
+ * @param {Object} context See createStackContext
+ * @returns {Array<{range: Object, text: String}>} edits as source offset ranges
+ */
+function annotateMacroStack(source, program, macro, context) {
+    const steps = reliableSteps(simulateStack(macro.body, initialStack(program, macro), context).steps);
+    const comments = bodyComments(program, macro);
+
+    // The stack after the last node on each line
+    const lines = new Map();
+    for (const step of steps) {
+        const end = step.node.range.end;
+        const start = lineStart(source, end);
+        const last = lines.get(start);
+        if (!last || last.node.range.end < end) lines.set(start, { node: step.node, stack: step.stack });
+    }
+
+    const annotated = [];
+    for (const [start, { node, stack }] of lines) {
+        const end = lineEnd(source, node.range.end);
+        // Skip lines with code after the last simulated node, such as unreachable instructions
+        if (macro.body.some(other => other.range.start >= node.range.end && other.range.start < end)) continue;
+
+        const comment = comments.find(candidate => candidate.start >= node.range.end && candidate.start < end);
+        if (!comment && source.slice(node.range.end, end).trim()) continue;
+
+        const code = source.slice(start, node.range.end);
+        const existing = comment ? readStackComment(comment.value) : null;
+        const trailing = existing ? existing.trailing : comment ? comment.value.replace(/^\/\/\s*/, "") : "";
+
+        annotated.push({ range: { start: node.range.end, end }, code, stack, trailing });
+    }
+
+    const column = Math.max(0, ...annotated.map(line => line.code.replace(/\t/g, "    ").length)) + STACK_COMMENT_GAP;
+    return annotated.map(({ range, code, stack, trailing }) => ({
+        range,
+        text: " ".repeat(Math.max(1, column - code.replace(/\t/g, "    ").length))
+            + formatStackComment(stack)
+            + (trailing ? ` ${trailing}` : "")
+    }));
+}
+
+/**Check Stack Comments
+ *
+ * Compare the depth of every stack comment inside the macros of a program with the
+ * simulated stack at that point. Macros that do not declare takes are skipped, as are
+ * comments containing `...`, comments in code the simulation could not reach and
+ * comments after a stack underflow.
+ *
+ * @param {Object} program
+ * @param {Object} context See createStackContext
+ * @returns {Array<{message: String, range: Object}>}
+ */
+function checkStackComments(program, context) {
+    const problems = [];
+    for (const macro of program.definitions) {
+        if (macro.type !== "Macro" || macro.takes === null) continue;
+
+        const { steps } = simulateStack(macro.body, initialStack(program, macro), context);
+        const stepFor = new Map(reliableSteps(steps).map(step => [step.node, step]));
+
+        for (const comment of bodyComments(program, macro)) {
+            const items = parseStackComment(comment.value);
+            if (!items || items.includes(ELLIPSIS)) continue;
+
+            const previous = macro.body.filter(node => node.range.end <= comment.start).pop();
+            let depth = macro.takes;
+            if (previous) {
+                const step = stepFor.get(previous);
+                if (!step || step.effect.terminates) continue;
+                depth = step.after;
+            }
+
+            if (items.length !== depth) {
+                problems.push({
+                    message: `Stack comment lists ${items.length} item(s) but the stack holds ${depth} here`,
+                    range: { start: comment.start, end: comment.end }
+                });
+            }
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    parseStackComment,
+    annotateMacroStack,
+    checkStackComments,
+    STACK_COMMENT_GAP
+}
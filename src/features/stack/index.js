@@ -0,0 +1,268 @@
+const asmArr = require("../hover/asm.json");
+const { findDefinitions } = require("../project");
+
+const MAX_STACK_DEPTH = 1024;
+
+// Opcodes after which execution does not fall through to the next instruction
+const TERMINATING_OPCODES = new Set(["stop", "return", "revert", "invalid", "selfdestruct", "jump"]);
+const JUMP_OPCODES = new Set(["jump", "jumpi"]);
+
+// Builtins are replaced by a push, apart from __VERBATIM whose effect cannot be known
+const UNKNOWN_BUILTINS = new Set(["__VERBATIM"]);
+
+/**Create Stack Context
+ *
+ * Resolves the stack effect of macro invocations across a project. Declared takes / returns
+ * are trusted; macros that do not declare both have their effect inferred from their body.
+ *
+ * @param {Object} project
+ * @returns {{macroEffect: Function}}
+ */
+function createStackContext(project) {
+    const inferred = new Map();
+
+    const macroEffect = (name) => {
+        const [found] = findDefinitions(project, "Macro", name);
+        if (!found) return null;
+
+        const macro = found.definition;
+        if (macro.takes !== null && macro.returns !== null) return { pops: macro.takes, pushes: macro.returns, terminates: false };
+
+        // Recursive invocations are never valid huff, treat them as unknown
+        if (inferred.has(name)) return inferred.get(name);
+        inferred.set(name, null);
+        const effect = inferEffect(macro.body, context);
+        inferred.set(name, effect);
+        return effect;
+    };
+
+    const context = { macroEffect };
+    return context;
+}
+
+/**Stack Effect
+ *
+ * How many items a body node pops and pushes
+ *
+ * @param {Object} node
+ * @param {Object} context See createStackContext
+ * @returns {{pops: Number, pushes: Number, terminates: Boolean}|null} null when unknown
+ */
+function stackEffect(node, context) {
+    switch (node.type) {
+        case "Opcode": {
+            const opcode = asmArr[node.name];
+            return opcode ? { pops: opcode.instr_pops, pushes: opcode.instr_pushes, terminates: TERMINATING_OPCODES.has(node.name) } : null;
+        }
+        case "Literal":
+        case "ConstantReference":
+        case "LabelReference":
+        case "ArgumentReference":
+            return { pops: 0, pushes: 1, terminates: false };
+        case "BuiltinCall":
+            return UNKNOWN_BUILTINS.has(node.name) ? null : { pops: 0, pushes: 1, terminates: false };
+        case "MacroCall":
+            return context.macroEffect(node.name);
+    }
+    return null;
+}
+
+const shortName = (item) => item.includes("(") ? item.slice(0, item.indexOf("(")) : item;
+
+/**Pushed Items
+ *
+ * Symbolic names for the items a node pushes, given the items it popped (top first)
+ *
+ * @param {Object} node
+ * @param {Object} effect
+ * @param {Array<String>} popped
+ * @returns {Array<String>}
+ */
+function pushedItems(node, effect, popped) {
+    switch (node.type) {
+        case "Literal": return [node.value];
+        case "ConstantReference":
+        case "LabelReference":
+        case "ArgumentReference":
+            return [node.name];
+        case "BuiltinCall": {
+            const args = node.args.map(arg => arg.type === "StringLiteral" ? arg.value.split("(")[0] : arg.name || arg.value);
+            return [`${node.name}(${args.join(", ")})`];
+        }
+        case "MacroCall":
+            return effect.pushes === 1
+                ? [`${node.name}()`]
+                : Array.from({ length: effect.pushes }, (_, i) => `${node.name}()[${i}]`);
+    }
+
+    const dup = /^dup(\d+)$/.exec(node.name);
+    if (dup) return [popped[dup[1] - 1], ...popped];
+    const swap = /^swap(\d+)$/.exec(node.name);
+    if (swap) {
+        const swapped = [...popped];
+        [swapped[0], swapped[swap[1]]] = [swapped[swap[1]], swapped[0]];
+        return swapped;
+    }
+
+    if (!effect.pushes) return [];
+    if (node.name === "push0") return ["0x00"];
+    return [popped.length ? `${node.name}(${popped.map(shortName).join(", ")})` : node.name];
+}
+
+/**Merge Stacks
+ *
+ * The stack at a label reached from several places. Items that differ become `?`.
+ *
+ * @param {Array<String>} a
+ * @param {Array<String>} b
+ * @returns {Array<String>}
+ */
+const mergeStacks = (a, b) => a.map((item, i) => item === b[i] ? item : "?");
+
+/**Simulate Stack
+ *
+ * Walk a macro body tracking the stack before and after every node. Items are symbolic names,
+ * listed top of the stack first.
+ *
+ * Control flow is handled conservatively: code after a jump or terminating opcode is
+ * unreachable until the next label. A label is entered with the stack recorded at the
+ * `label jump` / `label jumpi` sites seen so far and with the fall through stack. When
+ * neither is known, or their depths disagree, the simulation stops as the depth can no
+ * longer be trusted.
+ *
+ * @param {Array<Object>} body
+ * @param {Number|Array<String>} start The starting depth, or names of the starting items
+ * @param {Object} context See createStackContext
+ * @returns {{steps: Array<Object>, end: Number|null, complete: Boolean}}
+ *  `steps` are `{node, before, after, effect, stack}` where `before` and `after` are depths
+ *  and `stack` the items after the node. `end` is the depth at the end of the body or null
+ *  when the end is unreachable, `complete` is false when the simulation stopped early.
+ */
+function simulateStack(body, start, context) {
+    const steps = [];
+    const labels = new Map();
+    let state = Array.isArray(start)
+        ? { depth: start.length, stack: start }
+        : { depth: start, stack: Array.from({ length: start }, (_, i) => `in${i}`) };
+
+    for (let i = 0; i < body.length; i++) {
+        const node = body[i];
+
+        if (node.type === "LabelDefinition") {
+            const jumped = labels.get(node.name);
+            if (jumped === null) return { steps, end: null, complete: false };
+
+            if (!state) state = jumped || null;
+            else if (jumped && jumped.depth !== state.depth) state = null;
+            else if (jumped) state = { depth: state.depth, stack: mergeStacks(state.stack, jumped.stack) };
+
+            if (!state) return { steps, end: null, complete: false };
+            steps.push({ node, before: state.depth, after: state.depth, effect: { pops: 0, pushes: 0, terminates: false }, stack: state.stack });
+            continue;
+        }
+
+        // Unreachable until the next label
+        if (!state) continue;
+
+        const effect = stackEffect(node, context);
+        if (!effect) return { steps, end: null, complete: false };
+
+        const popped = Array.from({ length: effect.pops }, (_, j) => j < state.stack.length ? state.stack[j] : "?");
+        const after = {
+            depth: state.depth - effect.pops + effect.pushes,
+            stack: [...pushedItems(node, effect, popped), ...state.stack.slice(effect.pops)]
+        };
+        steps.push({ node, before: state.depth, after: after.depth, effect, stack: after.stack });
+
+        const previous = body[i - 1];
+        if (node.type === "Opcode" && JUMP_OPCODES.has(node.name) && previous && previous.type === "LabelReference") {
+            // null marks a label jumped to with different depths
+            const recorded = labels.get(previous.name);
+            if (recorded === undefined) labels.set(previous.name, after);
+            else if (recorded && recorded.depth === after.depth) labels.set(previous.name, { depth: after.depth, stack: mergeStacks(recorded.stack, after.stack) });
+            else labels.set(previous.name, null);
+        }
+
+        state = effect.terminates ? null : after;
+    }
+    return { steps, end: state ? state.depth : null, complete: true };
+}
+
+/**Infer Effect
+ *
+ * The stack effect of a body that does not declare takes / returns: it takes as many
+ * items as it reaches below its starting depth and returns what is left of them
+ *
+ * @param {Array<Object>} body
+ * @param {Object} context
+ * @returns {{pops: Number, pushes: Number, terminates: Boolean}|null}
+ */
+function inferEffect(body, context) {
+    const { steps, end, complete } = simulateStack(body, 0, context);
+    if (!complete) return null;
+
+    const lowest = Math.min(0, ...steps.map(step => step.before - step.effect.pops));
+    if (end === null) return { pops: -lowest, pushes: 0, terminates: true };
+    return { pops: -lowest, pushes: end - lowest, terminates: false };
+}
+
+const describe = (node) => node.type === "MacroCall" ? `${node.name}()` : node.type === "Opcode" ? `\`${node.name}\`` : node.name || "value";
+
+/**Check Macro Stack
+ *
+ * Simulate a macro starting from its declared takes and report stack underflow, depths
+ * over 1024 and a final depth that does not match its declared returns. Macros that do not
+ * declare takes are skipped.
+ *
+ * @param {Object} macro
+ * @param {Object} context See createStackContext
+ * @returns {Array<{message: String, range: Object}>}
+ */
+function checkMacroStack(macro, context) {
+    if (macro.takes === null) return [];
+
+    const { steps, end, complete } = simulateStack(macro.body, macro.takes, context);
+    for (const { node, before, after, effect } of steps) {
+        if (before < effect.pops) {
+            return [{
+                message: `Stack underflow: ${describe(node)} needs ${effect.pops} stack item(s) but only ${before} are available`,
+                range: node.range
+            }];
+        }
+        if (after > MAX_STACK_DEPTH) {
+            return [{ message: `Stack depth exceeds ${MAX_STACK_DEPTH} items`, range: node.range }];
+        }
+    }
+
+    if (complete && end !== null && macro.returns !== null && end !== macro.returns) {
+        return [{
+            message: `${macro.name} declares takes(${macro.takes}) returns(${macro.returns}) but leaves ${end} item(s) on the stack`,
+            range: macro.nameRange
+        }];
+    }
+    return [];
+}
+
+/**Check File Stack
+ *
+ * Stack check every macro defined in a project file
+ *
+ * @param {Object} project
+ * @param {Object} file
+ * @returns {Array<{message: String, range: Object}>}
+ */
+function checkFileStack(project, file) {
+    const context = createStackContext(project);
+    return file.program.definitions
+        .filter(definition => definition.type === "Macro")
+        .flatMap(macro => checkMacroStack(macro, context));
+}
+
+module.exports = {
+    createStackContext,
+    stackEffect,
+    simulateStack,
+    checkMacroStack,
+    checkFileStack,
+    MAX_STACK_DEPTH
+}
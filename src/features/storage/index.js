@@ -0,0 +1,74 @@
+const { getDefinitions } = require("../parser");
+const { getStorageSlots, positionAt } = require("../project");
+
+const STORAGE_OPCODES = ["sload", "sstore"];
+
+/**Storage Accesses
+ *
+ * Every `[CONST] sload` and `[CONST] sstore` in the macros of a project, keyed by constant name
+ *
+ * @param {Object} project See loadProject
+ * @returns {Map<String, Array<{operation: String, macro: Object, file: Object, node: Object}>>}
+ */
+function storageAccesses(project) {
+    const accesses = new Map();
+    for (const file of project.files.values()) {
+        for (const macro of getDefinitions(file.program, "Macro")) {
+            macro.body.forEach((node, i) => {
+                const next = macro.body[i + 1];
+                if (node.type !== "ConstantReference" || !next || next.type !== "Opcode" || !STORAGE_OPCODES.includes(next.name)) return;
+
+                if (!accesses.has(node.name)) accesses.set(node.name, []);
+                accesses.get(node.name).push({ operation: next.name, macro, file, node });
+            });
+        }
+    }
+    return accesses;
+}
+
+/**Storage Layout
+ *
+ * The FREE_STORAGE_POINTER() slots of a project in the order huffc assigns them, with the
+ * macros reading or writing each slot
+ *
+ * @param {Object} project See loadProject
+ * @returns {Array<{slot: Number, name: String, file: Object, definition: Object, accesses: Array<Object>}>}
+ */
+function storageLayout(project) {
+    const accesses = storageAccesses(project);
+    return getStorageSlots(project).map(slot => ({ ...slot, accesses: accesses.get(slot.name) || [] }));
+}
+
+/**Layout Report
+ *
+ * Serializable form of a storage layout, with one based line numbers
+ *
+ * @param {Object} project
+ * @param {Function} relativePath Formats the file paths written to the report
+ * @returns {{root: String, slots: Array<Object>}}
+ */
+function layoutReport(project, relativePath = (filePath) => filePath) {
+    const location = (file, range) => ({
+        file: relativePath(file.path),
+        line: positionAt(file.source, range.start).line + 1
+    });
+
+    return {
+        root: relativePath(project.root),
+        slots: storageLayout(project).map(({ slot, name, file, definition, accesses }) => ({
+            slot,
+            name,
+            ...location(file, definition.nameRange),
+            accesses: accesses.map(({ operation, macro, file, node }) => ({
+                macro: macro.name,
+                operation,
+                ...location(file, node.range)
+            }))
+        }))
+    };
+}
+
+module.exports = {
+    storageLayout,
+    layoutReport
+}
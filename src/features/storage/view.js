@@ -0,0 +1,88 @@
+const vscode = require("vscode");
+const path = require("path");
+const { getDocumentProject, toRange } = require("../project/documents");
+const { positionAt } = require("../project");
+const { storageLayout } = require("./index");
+const { LANGUAGE_ID } = require("../../settings");
+
+const ACCESS_ICONS = {
+    sload: "eye",
+    sstore: "edit"
+};
+
+/**Storage Layout Provider
+ *
+ * Tree of the storage slots of the contract in the last active huff editor. Each slot
+ * lists the macros that read or write it.
+ */
+class StorageLayoutProvider {
+    static viewType = "huff.storageLayout";
+
+    constructor() {
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.document = null;
+    }
+
+    /**Set Document
+     *
+     * Show the layout of another contract, editors of other languages are ignored
+     *
+     * @param {vscode.TextDocument|undefined} document
+     */
+    setDocument(document) {
+        if (!document || document.languageId !== LANGUAGE_ID) return;
+        this.document = document;
+        this.refresh();
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    getChildren(element) {
+        if (element) return element.accesses.map(access => ({ access }));
+        if (!this.document) return [];
+        return storageLayout(getDocumentProject(this.document));
+    }
+
+    getTreeItem(element) {
+        if (element.access) {
+            const { operation, macro, file, node } = element.access;
+            const item = new vscode.TreeItem(macro.name);
+            item.description = `${operation} · ${path.basename(file.path)}:${positionAt(file.source, node.range.start).line + 1}`;
+            item.iconPath = new vscode.ThemeIcon(ACCESS_ICONS[operation]);
+            item.command = openCommand(file, node.range);
+            return item;
+        }
+
+        const { slot, name, file, definition, accesses } = element;
+        const item = new vscode.TreeItem(
+            name,
+            accesses.length ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.None
+        );
+        item.description = `slot ${slot} · ${path.basename(file.path)}${accesses.length ? "" : " · unused"}`;
+        item.tooltip = `${name} = FREE_STORAGE_POINTER() -> 0x${slot.toString(16).padStart(2, "0")}\n${vscode.workspace.asRelativePath(file.path)}`;
+        item.iconPath = new vscode.ThemeIcon("symbol-constant");
+        item.command = openCommand(file, definition.nameRange);
+        return item;
+    }
+}
+
+/**Open Command
+ *
+ * @param {Object} file A project file
+ * @param {{start: Number, end: Number}} range
+ * @returns {vscode.Command}
+ */
+function openCommand(file, range) {
+    return {
+        title: "Open",
+        command: "vscode.open",
+        arguments: [vscode.Uri.file(file.path), { selection: toRange(file.source, range) }]
+    };
+}
+
+module.exports = {
+    StorageLayoutProvider
+}
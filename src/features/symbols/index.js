@@ -0,0 +1,337 @@
+const { walk } = require("../parser");
+const { findDefinitions, resolveIncludePath } = require("../project");
+
+// Symbol kind for each definition node type
+const DEFINITION_KINDS = {
+    Macro: "macro",
+    Constant: "constant",
+    Function: "function",
+    Event: "event",
+    Error: "error",
+    Table: "table"
+};
+const DEFINITION_TYPES = Object.fromEntries(Object.entries(DEFINITION_KINDS).map(([type, kind]) => [kind, type]));
+
+// The kind of definition each builtin takes as its argument
+const BUILTIN_ARGUMENT_KINDS = {
+    __FUNC_SIG: "function",
+    __EVENT_HASH: "event",
+    __ERROR: "error",
+    __tablestart: "table",
+    __tablesize: "table",
+    __codesize: "macro"
+};
+
+const formatParams = (params) => `(${params.map(param => [param.type, param.indexed ? "indexed" : null, param.name].filter(Boolean).join(" ")).join(", ")})`;
+
+const inRange = (range, offset) => Boolean(range) && range.start <= offset && offset <= range.end;
+
+/**Definition Detail
+ *
+ * A short human readable signature of a definition, e.g. `(error) takes(1) returns(0)`
+ *
+ * @param {Object} definition
+ * @param {String} source The source the definition was parsed from, used for constant values
+ * @returns {String}
+ */
+function definitionDetail(definition, source) {
+    switch (definition.type) {
+        case "Macro":
+            return `(${definition.args.map(arg => arg.name).join(", ")}) takes(${definition.takes ?? 0}) returns(${definition.returns ?? 0})`;
+        case "Constant":
+            if (!definition.value) return "";
+            return definition.value.type === "FreeStoragePointer"
+                ? "FREE_STORAGE_POINTER()"
+                : source.slice(definition.value.range.start, definition.value.range.end);
+        case "Function": {
+            const outputs = definition.outputs.length ? ` returns ${formatParams(definition.outputs)}` : "";
+            return `${formatParams(definition.params)} ${definition.stateMutability}${outputs}`;
+        }
+        case "Event":
+        case "Error":
+            return formatParams(definition.params);
+        case "Table":
+            return definition.kind;
+    }
+    return "";
+}
+
+/**Body Symbol
+ *
+ * Convert a body node into a symbol, if it names one
+ *
+ * @param {Object} node
+ * @param {Object} parent The builtin or macro call the node is an argument of
+ * @param {Object} scope The enclosing definition
+ * @returns {Object|null}
+ */
+function bodySymbol(node, parent, scope) {
+    const symbol = (kind, isDefinition = false) => ({ kind, name: node.name, range: node.nameRange, node, scope, isDefinition });
+
+    switch (node.type) {
+        case "MacroCall": return symbol("macro");
+        case "BuiltinCall": return symbol("builtin");
+        case "ConstantReference": return symbol("constant");
+        case "ArgumentReference": return symbol("argument");
+        case "LabelDefinition": return symbol("label", true);
+        case "LabelReference": return symbol("label");
+        case "Identifier": {
+            const kind = parent && BUILTIN_ARGUMENT_KINDS[parent.name];
+            return kind ? symbol(kind) : null;
+        }
+    }
+    return null;
+}
+
+/**Get Body Symbols
+ *
+ * Every symbol referenced or defined inside a definition's body, including the macro's arguments
+ *
+ * @param {Object} definition
+ * @returns {Array<Object>}
+ */
+function getBodySymbols(definition) {
+    const symbols = [];
+    if (definition.type === "Macro") {
+        for (const arg of definition.args) {
+            symbols.push({ kind: "argument", name: arg.name, range: arg.range, node: arg, scope: definition, isDefinition: true });
+        }
+    }
+    walk(definition.body || [], (node, parent) => {
+        const symbol = bodySymbol(node, parent, definition);
+        if (symbol) symbols.push(symbol);
+    });
+    return symbols;
+}
+
+/**Symbol At
+ *
+ * Find the symbol under a source offset
+ *
+ * @param {Object} program
+ * @param {Number} offset
+ * @returns {Object|null} `{kind, name, range, node, scope, isDefinition}`
+ */
+function symbolAt(program, offset) {
+    for (const include of program.includes) {
+        if (inRange(include.pathRange, offset)) {
+            return { kind: "include", name: include.path, range: include.pathRange, node: include, scope: null, isDefinition: false };
+        }
+    }
+
+    for (const definition of program.definitions) {
+        if (!inRange(definition.range, offset)) continue;
+
+        if (inRange(definition.nameRange, offset)) {
+            return {
+                kind: DEFINITION_KINDS[definition.type],
+                name: definition.name,
+                range: definition.nameRange,
+                node: definition,
+                scope: definition,
+                isDefinition: true
+            };
+        }
+        return getBodySymbols(definition).find(symbol => inRange(symbol.range, offset)) || null;
+    }
+    return null;
+}
+
+/**Project Macros
+ *
+ * @param {Map<String, Object>} files
+ * @returns {Array<{file: Object, definition: Object}>}
+ */
+function projectMacros(files) {
+    const macros = [];
+    for (const file of files.values()) {
+        for (const definition of file.program.definitions) {
+            if (definition.type === "Macro") macros.push({ file, definition });
+        }
+    }
+    return macros;
+}
+
+const definesLabel = (definition, name) => getBodySymbols(definition)
+    .some(candidate => candidate.kind === "label" && candidate.isDefinition && candidate.name === name);
+
+const usesSymbol = (definition, kind, name) => getBodySymbols(definition)
+    .some(candidate => candidate.kind === kind && !candidate.isDefinition && candidate.name === name);
+
+/**Label Owners
+ *
+ * The macros a jump label resolves to. A macro's own label comes first. Labels a macro does
+ * not define belong to the macros invoking it, and labels listed by a jump table to the
+ * macros using the table, the way huffc resolves them from outer scopes.
+ *
+ * @param {Map<String, Object>} files
+ * @param {Object} symbol A label symbol
+ * @returns {Array<{file: Object, definition: Object}>|null} null when nothing uses the label's scope
+ */
+function labelOwners(files, symbol) {
+    const scope = symbol.scope;
+    if (!scope || !["Macro", "Table"].includes(scope.type)) return null;
+
+    const macros = projectMacros(files);
+    if (scope.type === "Macro" && definesLabel(scope, symbol.name)) {
+        return macros.filter(macro => macro.definition.name === scope.name);
+    }
+
+    const owners = [];
+    const seen = new Set(scope.type === "Macro" ? [scope.name] : []);
+    let users = macros.filter(macro => usesSymbol(macro.definition, DEFINITION_KINDS[scope.type], scope.name));
+    if (!users.length) return null;
+
+    while (users.length) {
+        const callers = [];
+        for (const user of users) {
+            if (seen.has(user.definition.name)) continue;
+            seen.add(user.definition.name);
+
+            if (definesLabel(user.definition, symbol.name)) owners.push(user);
+            else callers.push(...macros.filter(macro => usesSymbol(macro.definition, "macro", user.definition.name)));
+        }
+        users = callers;
+    }
+    return owners;
+}
+
+/**Label Scope
+ *
+ * Every definition a jump label can be written in: its owners, the macros they invoke that
+ * do not define the label themselves, and the jump tables any of those use
+ *
+ * @param {Map<String, Object>} files
+ * @param {Array<{file: Object, definition: Object}>} owners See labelOwners
+ * @param {String} name
+ * @returns {Array<{file: Object, definition: Object}>}
+ */
+function labelScope(files, owners, name) {
+    const macros = projectMacros(files);
+    const scope = [];
+    const seen = new Set();
+    let current = owners;
+
+    while (current.length) {
+        const invoked = [];
+        for (const macro of current) {
+            if (seen.has(macro.definition.name)) continue;
+            seen.add(macro.definition.name);
+            scope.push(macro);
+
+            invoked.push(...macros.filter(candidate =>
+                usesSymbol(macro.definition, "macro", candidate.definition.name) && !definesLabel(candidate.definition, name)
+            ));
+        }
+        current = invoked;
+    }
+
+    for (const file of files.values()) {
+        for (const definition of file.program.definitions) {
+            if (definition.type === "Table" && scope.some(macro => usesSymbol(macro.definition, "table", definition.name))) {
+                scope.push({ file, definition });
+            }
+        }
+    }
+    return scope;
+}
+
+/**Find Label Definitions
+ *
+ * Jump labels are scoped to their macro, see labelOwners. Labels of jump tables no macro
+ * uses fall back to every label in the project.
+ *
+ * @param {Object} project
+ * @param {Object} file The file containing the reference
+ * @param {Object} symbol
+ * @returns {Array<{file: Object, range: Object}>}
+ */
+function findLabelDefinitions(project, file, symbol) {
+    const owners = labelOwners(project.files, symbol);
+    const candidates = owners || (symbol.scope && symbol.scope.type === "Table" ? projectMacros(project.files) : []);
+
+    return candidates.flatMap(({ file, definition }) => getBodySymbols(definition)
+        .filter(candidate => candidate.kind === "label" && candidate.isDefinition && candidate.name === symbol.name)
+        .map(label => ({ file, range: label.range })));
+}
+
+/**Resolve Definitions
+ *
+ * Find where a symbol is defined
+ *
+ * @param {Object} project
+ * @param {Object} file The project file the symbol was found in
+ * @param {Object} symbol As returned by symbolAt
+ * @returns {Array<{file: Object, range: Object}>}
+ */
+function resolveDefinitions(project, file, symbol) {
+    switch (symbol.kind) {
+        case "include": {
+            const included = project.files.get(resolveIncludePath(file.path, symbol.name));
+            return included ? [{ file: included, range: { start: 0, end: 0 } }] : [];
+        }
+        case "label":
+            return findLabelDefinitions(project, file, symbol);
+        case "argument": {
+            const args = symbol.scope && symbol.scope.type === "Macro" ? symbol.scope.args : [];
+            return args.filter(arg => arg.name === symbol.name).map(arg => ({ file, range: arg.range }));
+        }
+    }
+
+    const type = DEFINITION_TYPES[symbol.kind];
+    if (!type) return [];
+    return findDefinitions(project, type, symbol.name).map(({ file, definition }) => ({ file, range: definition.nameRange }));
+}
+
+/**Find References
+ *
+ * Find every occurrence of a symbol across a set of files. Macro arguments only exist
+ * within their macro and jump labels are scoped to the macros that define them, the
+ * macros those invoke and the jump tables they use.
+ *
+ * @param {Map<String, Object>} files Usually every file linked to the symbol's definition
+ * @param {Object} file The file the symbol was found in
+ * @param {Object} symbol As returned by symbolAt
+ * @param {Boolean} includeDeclaration
+ * @returns {Array<{file: Object, range: Object}>}
+ */
+function findReferences(files, file, symbol, includeDeclaration = true) {
+    const matches = (candidate) => candidate.kind === symbol.kind
+        && candidate.name === symbol.name
+        && (includeDeclaration || !candidate.isDefinition);
+    const scoped = (definition, definitionFile) => getBodySymbols(definition)
+        .filter(matches)
+        .map(candidate => ({ file: definitionFile, range: candidate.range }));
+
+    if (symbol.kind === "argument") return symbol.scope ? scoped(symbol.scope, file) : [];
+
+    if (symbol.kind === "label") {
+        const owners = labelOwners(files, symbol);
+        const scope = owners && owners.length
+            ? labelScope(files, owners, symbol.name)
+            : symbol.scope ? [{ file, definition: symbol.scope }] : [];
+        return scope.flatMap(({ file, definition }) => scoped(definition, file));
+    }
+
+    const found = [];
+    for (const projectFile of files.values()) {
+        for (const definition of projectFile.program.definitions) {
+            if (includeDeclaration && DEFINITION_KINDS[definition.type] === symbol.kind && definition.name === symbol.name) {
+                found.push({ file: projectFile, range: definition.nameRange });
+            }
+            found.push(...scoped(definition, projectFile));
+        }
+    }
+    return found;
+}
+
+module.exports = {
+    symbolAt,
+    getBodySymbols,
+    resolveDefinitions,
+    findReferences,
+    definitionDetail,
+    DEFINITION_KINDS,
+    DEFINITION_TYPES,
+    BUILTIN_ARGUMENT_KINDS
+}
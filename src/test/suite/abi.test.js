@@ -0,0 +1,78 @@
+const assert = require('assert');
+
+const { loadProject } = require('../../features/project');
+const { interfaceAbi, readAbi, abiToHuff } = require('../../features/abi');
+const { interfaceSignatureExtractor, signatureConstants, SIGNATURE_KINDS } = require('../../features/regexUtils');
+
+const source = `
+#define function balanceOf(address owner) view returns (uint256)
+#define function fill((address maker, uint256[] amounts)[] orders, bytes calldata sig) payable returns ()
+#define event Transfer(address indexed from, address indexed to, uint256 amount)
+#define error Unauthorized(address)
+#define function balanceOf(address) view returns (uint256)
+`;
+
+suite('Abi Test Suite', () => {
+  test('converts interface definitions to a json abi', () => {
+    const abi = interfaceAbi(loadProject('/Token.huff', () => source));
+
+    assert.strictEqual(abi.length, 4);
+    assert.deepStrictEqual(abi[0], {
+      type: 'function',
+      name: 'balanceOf',
+      inputs: [{ name: 'owner', type: 'address' }],
+      outputs: [{ name: '', type: 'uint256' }],
+      stateMutability: 'view'
+    });
+    assert.deepStrictEqual(abi[1].inputs, [
+      {
+        name: 'orders',
+        type: 'tuple[]',
+        components: [{ name: 'maker', type: 'address' }, { name: 'amounts', type: 'uint256[]' }]
+      },
+      { name: 'sig', type: 'bytes' }
+    ]);
+    assert.strictEqual(abi[1].stateMutability, 'payable');
+    assert.deepStrictEqual(abi[2].inputs.map(input => input.indexed), [true, true, false]);
+    assert.deepStrictEqual(abi[3], { type: 'error', name: 'Unauthorized', inputs: [{ name: '', type: 'address' }] });
+  });
+
+  test('imports an artifact abi back into interface definitions', () => {
+    const abi = interfaceAbi(loadProject('/Token.huff', () => source));
+    const artifact = { abi: [...abi, { type: 'constructor', inputs: [] }, { type: 'fallback' }], bytecode: { object: '0x' } };
+
+    assert.strictEqual(readAbi({ bytecode: '0x' }), null);
+    assert.strictEqual(abiToHuff(readAbi(artifact)).content, [
+      '#define function balanceOf(address owner) view returns (uint256)',
+      '#define function fill((address,uint256[])[] orders, bytes sig) payable returns ()',
+      '#define event Transfer(address indexed from, address indexed to, uint256 amount)',
+      '#define error Unauthorized(address)',
+      ''
+    ].join('\n'));
+    assert.strictEqual(
+      abiToHuff([{ type: 'function', name: 'totalSupply', inputs: [], outputs: [{ name: '', type: 'uint256' }], constant: true }]).content,
+      '#define function totalSupply() view returns (uint256)\n'
+    );
+    assert.deepStrictEqual(abiToHuff(readAbi(artifact)).warnings, []);
+  });
+
+  test('warns about anonymous events', () => {
+    const { content, warnings } = abiToHuff([{ type: 'event', name: 'Log', inputs: [{ name: 'data', type: 'bytes', indexed: false }], anonymous: true }]);
+
+    assert.strictEqual(content, '#define event Log(bytes data)\n');
+    assert.deepStrictEqual(warnings, ['Event Log is anonymous, huff events always emit their topic']);
+  });
+
+  test('names the constants of a function and an event sharing a name apart', () => {
+    const { content } = abiToHuff([
+      { type: 'function', name: 'transfer', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }], stateMutability: 'nonpayable' },
+      { type: 'event', name: 'Transfer', inputs: [{ name: 'from', type: 'address', indexed: true }, { name: 'to', type: 'address', indexed: true }, { name: 'amount', type: 'uint256', indexed: false }], anonymous: false }
+    ]);
+
+    const taken = new Set();
+    const constants = ['function', 'event'].map(kind =>
+      signatureConstants(interfaceSignatureExtractor(content, kind).sigHashes, '_SIGNATURE', taken, SIGNATURE_KINDS[kind].suffix)
+    ).join('');
+    assert.deepStrictEqual(constants.match(/[A-Z_]+(?= =)/g), ['TRANSFER_SIGNATURE', 'TRANSFER_TOPIC']);
+  });
+});
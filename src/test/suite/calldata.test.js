@@ -0,0 +1,58 @@
+const assert = require('assert');
+
+const { loadProject } = require('../../features/project');
+const { calldataFunctions, normalizeCalldata, decodeCalldata, formatDecoded, parseArgument, argumentError } = require('../../features/calldata');
+
+const files = {
+  '/Token.huff': `#include "./Burnable.huff"
+#define function transfer(address to, uint256 amount) nonpayable returns (bool)
+#define function fill((address maker, uint256[] amounts) order) nonpayable returns ()`,
+  '/Burnable.huff': `#define function burn(uint256) nonpayable returns ()
+#define function collate_propagate_storage(bytes16) nonpayable returns ()`
+};
+const functions = calldataFunctions(loadProject('/Token.huff', filePath => files[filePath] ?? null));
+
+suite('Calldata Test Suite', () => {
+  test('decodes calldata for functions of the file and its includes', () => {
+    const result = decodeCalldata(
+      '0xa9059cbb0000000000000000000000000000000000000000000000000000000000000001000000000000000000000000000000000000000000000000000000000000000a',
+      functions
+    );
+
+    assert.strictEqual(formatDecoded(result), [
+      '// 0xa9059cbb transfer(address,uint256)',
+      'to (address): "0x0000000000000000000000000000000000000001"',
+      'amount (uint256): "10"'
+    ].join('\n'));
+    assert.throws(() => decodeCalldata('0x1234', functions), /4 byte selector/);
+  });
+
+  test('only takes whole bytes starting with a selector as calldata', () => {
+    assert.strictEqual(normalizeCalldata('0xA9059CBB 0000'), 'a9059cbb0000');
+    assert.strictEqual(normalizeCalldata('a9059cbb'), 'a9059cbb');
+    for (const text of ['cafe', '0x1234', '0xa9059cbb0', 'transfer', '']) {
+      assert.strictEqual(normalizeCalldata(text), null, text);
+    }
+  });
+
+  test('tries every function sharing a selector', () => {
+    const { decoded } = decodeCalldata(`0x42966c68${'00'.repeat(31)}05`, functions);
+
+    assert.deepStrictEqual(decoded.map(fn => fn.signature), ['burn(uint256)', 'collate_propagate_storage(bytes16)']);
+    assert.deepStrictEqual(decoded[0].args, [{ name: '', type: 'uint256', value: '5' }]);
+    // Arguments that are too short decode as neither
+    assert.deepStrictEqual(decodeCalldata('0x42966c68', functions).decoded, []);
+  });
+
+  test('parses arguments typed in for encoding', () => {
+    const fill = functions.find(fn => fn.signature.startsWith('fill'));
+
+    assert.deepStrictEqual(parseArgument(fill.params[0], '["0x0000000000000000000000000000000000000001", [1, 2]]'), [
+      '0x0000000000000000000000000000000000000001',
+      [1, 2]
+    ]);
+    assert.strictEqual(argumentError({ type: 'bool', name: 'ok' }, 'yes'), 'Expected true or false');
+    assert.strictEqual(argumentError({ type: 'uint8', name: 'n' }, '255'), null);
+    assert.notStrictEqual(argumentError({ type: 'uint8', name: 'n' }, '256'), null);
+  });
+});
@@ -0,0 +1,41 @@
+const assert = require('assert');
+
+const { parseSelectorDatabase, scanSelectorCollisions } = require('../../features/diagnostics/collisions');
+
+const files = {
+  '/Token.huff': `#include "./Burnable.huff"
+#define function collate_propagate_storage(bytes16) nonpayable returns ()
+#define function upgradeTo(address) nonpayable returns ()`,
+  '/Burnable.huff': '#define function burn(uint256) nonpayable returns ()',
+  '/Vault.huff': `#include "./Burnable.huff"
+#define function deposit() payable returns ()`,
+  '/Ping.huff': `#include "./Pong.huff"
+#define function burn(uint256) nonpayable returns ()`,
+  '/Pong.huff': `#include "./Ping.huff"
+#define function collate_propagate_storage(bytes16) nonpayable returns ()`
+};
+
+suite('Selector Collisions Test Suite', () => {
+  test('reports collisions between functions compiled into the same contract', () => {
+    const problems = scanSelectorCollisions(Object.keys(files), filePath => files[filePath] ?? null);
+
+    // Ping and Pong include each other, so neither is a root, but they are checked all the same
+    assert.deepStrictEqual([...problems.keys()].sort(), ['/Burnable.huff', '/Ping.huff', '/Pong.huff', '/Token.huff']);
+    assert.strictEqual(problems.get('/Ping.huff').length, 1);
+    assert.deepStrictEqual(problems.get('/Burnable.huff').map(problem => problem.message), [
+      'Selector 0x42966c68 of burn(uint256) collides with collate_propagate_storage(bytes16)'
+    ]);
+    assert.strictEqual(problems.get('/Token.huff')[0].severity, 'error');
+  });
+
+  test('flags selectors listed in the database', () => {
+    const known = parseSelectorDatabase({ '0x3659CFE6': 'upgradeTo(address), proxy upgrades' });
+    const problems = scanSelectorCollisions(['/Token.huff'], filePath => files[filePath] ?? null, known);
+
+    assert.deepStrictEqual(problems.get('/Token.huff').filter(problem => problem.severity === 'warning').map(problem => problem.message), [
+      'Selector 0x3659cfe6 of upgradeTo(address) is a known dangerous selector: upgradeTo(address), proxy upgrades'
+    ]);
+    assert.deepStrictEqual([...parseSelectorDatabase(['upgradeTo(address)']).keys()], ['3659cfe6']);
+    assert.throws(() => parseSelectorDatabase({ '0x1234': 'too short' }), /not a 4 byte selector/);
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+
+const { loadProject } = require('../../features/project');
+const { checkSymbols } = require('../../features/diagnostics/semantic');
+const { checkFileStack } = require('../../features/stack');
+
+const files = {
+  '/src/Token.huff': `
+#include "./Lib.huff"
+#include "./Missing.huff"
+#define constant OWNER = 0x01
+#define constant OWNER = 0x02
+#define macro MAIN() = takes(0) returns(0) {
+    LIB() [OWNER] dispatch jumpi
+    UNDEFINED() <arg> dispatchh
+    dispatch:
+}`,
+  '/src/Lib.huff': `
+#define constant UNUSED_SLOT = FREE_STORAGE_POINTER()
+#define macro LIB() = takes(0) returns(0) {
+    [TOKEN_SLOT]
+}`,
+  '/src/Other.huff': `
+#include "./Lib.huff"
+#define constant TOKEN_SLOT = FREE_STORAGE_POINTER()`
+};
+const readFile = (filePath) => files[filePath] ?? null;
+
+const check = (filePath, linked) => {
+  const project = loadProject(filePath, readFile);
+  const file = project.files.get(filePath);
+  return checkSymbols(project, file, linked ? loadProject(linked, readFile).files : undefined)
+    .map(problem => `${problem.severity} ${file.source.slice(problem.range.start, problem.range.end)}`);
+};
+
+suite('Diagnostics Test Suite', () => {
+  test('reports missing includes, duplicates and undefined symbols', () => {
+    assert.deepStrictEqual(check('/src/Token.huff'), [
+      'error ./Missing.huff',
+      'error OWNER',
+      'error OWNER',
+      'error UNDEFINED',
+      'error arg',
+      'error dispatchh'
+    ]);
+  });
+
+  test('resolves symbols through the files including a library', () => {
+    assert.deepStrictEqual(check('/src/Lib.huff'), ['error TOKEN_SLOT']);
+    assert.deepStrictEqual(check('/src/Lib.huff', '/src/Other.huff'), []);
+  });
+
+  test('warns about unused constants once a contract uses the library', () => {
+    assert.ok(check('/src/Lib.huff', '/src/Token.huff').includes('warning UNUSED_SLOT'));
+  });
+
+  test('knows the cancun opcodes', () => {
+    const source = `
+#define macro CANCUN() = takes(0) returns(3) {
+    0x01 0x00 tstore
+    0x00 tload
+    0x20 0x00 0x40 mcopy
+    push0 blobhash blobbasefee
+}`;
+    const project = loadProject('/Cancun.huff', () => source);
+    const file = project.files.get('/Cancun.huff');
+    assert.deepStrictEqual(checkSymbols(project, file), []);
+    assert.deepStrictEqual(checkFileStack(project, file), []);
+  });
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+
+const { parse } = require('../../features/parser');
+const { dispatcherFunctions, generateDispatcher, STRATEGIES } = require('../../features/dispatcher');
+const { traceDispatch } = require('../../features/dispatcher/trace');
+
+const source = [
+  'transfer(address,uint256)', 'approve(address,uint256)', 'balanceOf(address)', 'totalSupply()',
+  'allowance(address,address)', 'transferFrom(address,address,uint256)', 'name()', 'symbol()'
+].map(fn => `#define function ${fn} nonpayable returns ()`).join('\n') + '\n#define function deposit() payable returns ()';
+
+suite('Dispatcher Test Suite', () => {
+  const { functions } = dispatcherFunctions(parse(source));
+
+  test('every strategy routes each selector to its macro', () => {
+    for (const strategy of STRATEGIES) {
+      const dispatcher = generateDispatcher(functions, { strategy, fallback: true });
+      assert.deepStrictEqual(parse(dispatcher).errors, [], strategy);
+      for (const fn of functions) {
+        assert.strictEqual(traceDispatch(dispatcher, { selector: fn.selector }).target, fn.macro, `${strategy} ${fn.label}`);
+      }
+      assert.strictEqual(traceDispatch(dispatcher, { selector: 'ffffffff' }).target, 'FALLBACK', strategy);
+    }
+  });
+
+  test('guards non payable functions and receives empty calls', () => {
+    const dispatcher = generateDispatcher(functions, { strategy: 'binary', callvalueGuards: true, receive: true });
+    const balanceOf = functions.find(fn => fn.label === 'balanceOf');
+    const deposit = functions.find(fn => fn.label === 'deposit');
+
+    assert.strictEqual(balanceOf.macro, 'BALANCE_OF');
+    assert.strictEqual(traceDispatch(dispatcher, { selector: balanceOf.selector, callvalue: 1 }).target, 'revert');
+    assert.strictEqual(traceDispatch(dispatcher, { selector: deposit.selector, callvalue: 1 }).target, 'DEPOSIT');
+    assert.strictEqual(traceDispatch(dispatcher, { selector: '', calldatasize: 0 }).target, 'RECEIVE');
+    assert.strictEqual(traceDispatch(dispatcher, { selector: 'ffffffff' }).target, 'revert');
+  });
+
+  test('keeps function labels apart from the labels it generates', () => {
+    const reserved = dispatcherFunctions(parse(['no_match', 'not_payable', 'receive', 'lower_0', 'check_foo', 'foo', 'bar', 'check_bar']
+      .map(name => `#define function ${name}(uint256) nonpayable returns ()`).join('\n'))).functions;
+
+    assert.deepStrictEqual(reserved.map(fn => fn.label), [
+      'no_match_1', 'not_payable_1', 'receive_1', 'lower_0_1', 'check_foo', 'foo_1', 'bar', 'check_bar_1'
+    ]);
+    for (const strategy of STRATEGIES) {
+      const dispatcher = generateDispatcher([...functions, ...reserved], { strategy, callvalueGuards: true, receive: true });
+      for (const fn of reserved) {
+        assert.strictEqual(traceDispatch(dispatcher, { selector: fn.selector }).target, fn.macro, `${strategy} ${fn.label}`);
+      }
+      assert.strictEqual(traceDispatch(dispatcher, { selector: 'ffffffff' }).target, 'revert', strategy);
+    }
+  });
+});
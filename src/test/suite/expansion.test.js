@@ -0,0 +1,38 @@
+const assert = require('assert');
+
+const { loadProject } = require('../../features/project');
+const { expandMacro, flattenExpansion, renderExpansion } = require('../../features/expansion');
+const { estimateMacroGas } = require('../../features/gas');
+
+const source = `
+#define macro REQUIRE(condition, error) = takes(0) returns(0) {
+    <condition> <error> jumpi
+}
+#define macro CHECK(error) = takes(1) returns(0) {
+    REQUIRE(<error>, 0x01) UNKNOWN()
+}
+#define macro MAIN() = takes(0) returns(0) {
+    CHECK(fail)
+    fail:
+        0x00 dup1 revert
+}`;
+
+suite('Expansion Test Suite', () => {
+  const project = loadProject('/Main.huff', () => source);
+  const file = project.files.get('/Main.huff');
+  const main = file.program.definitions.find(definition => definition.name === 'MAIN');
+
+  test('inlines invocations and substitutes arguments', () => {
+    const leaves = flattenExpansion(expandMacro(project, file, main)).map(({ node }) => node.name || node.value);
+    assert.deepStrictEqual(leaves, ['fail', '0x01', 'jumpi', 'UNKNOWN', 'fail', '0x00', 'dup1', 'revert']);
+    assert.ok(renderExpansion(expandMacro(project, file, main)).includes('    // REQUIRE(<error>, 0x01) {\n        fail 0x01 jumpi'));
+  });
+
+  test('estimates the minimum gas of the expanded body', () => {
+    // 2 pushes and a jumpi to 0x01, which is not a label and may leave the macro
+    const estimate = estimateMacroGas(project, file, main);
+    assert.strictEqual(estimate.gas, 3 + 3 + 10);
+    assert.deepStrictEqual(estimate.unexpanded, ['UNKNOWN']);
+    assert.deepStrictEqual(estimate.dynamic, [{ name: 'revert', reason: 'memory expansion', count: 1 }]);
+  });
+});
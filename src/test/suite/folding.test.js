@@ -0,0 +1,37 @@
+const assert = require('assert');
+
+const { parse } = require('../../features/parser');
+const { foldingRanges, selectionRanges } = require('../../features/folding/ranges');
+
+const source = `/**
+ * @notice Entry point
+ */
+#define macro MAIN() = takes(0) returns(0) {
+    0x00 calldataload   // [sig]
+    continue jump
+    continue:
+        0x00 dup1 revert
+}`;
+
+suite('Folding Test Suite', () => {
+  const program = parse(source);
+
+  test('folds comments, bodies and label blocks', () => {
+    assert.deepStrictEqual(foldingRanges(source, program), [
+      { start: 0, end: 2, kind: 'comment' },
+      { start: 3, end: 7, kind: undefined },
+      { start: 6, end: 7, kind: undefined }
+    ]);
+  });
+
+  test('grows the selection from token to definition', () => {
+    const ranges = selectionRanges(source, program, source.indexOf('dup1'));
+    assert.deepStrictEqual(ranges.map(({ start, end }) => source.slice(start, end).split('\n')[0]), [
+      'dup1',
+      '0x00 dup1 revert',
+      'continue:',
+      '0x00 calldataload   // [sig]',
+      '#define macro MAIN() = takes(0) returns(0) {'
+    ]);
+  });
+});
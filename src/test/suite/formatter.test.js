@@ -0,0 +1,40 @@
+const assert = require('assert');
+
+const { parse } = require('../../features/parser');
+const { formatLines } = require('../../features/formatter/format');
+
+const format = (source, options) => {
+  const lines = source.split('\n');
+  for (const edit of formatLines(source, parse(source), options)) lines[edit.line] = edit.text;
+  return lines.join('\n');
+};
+
+suite('Formatter Test Suite', () => {
+  test('normalizes headers, indentation, stack comments and hex casing', () => {
+    const source = [
+      '#define constant MAX=0xFFff',
+      '#define macro TRANSFER( error ,b ) = takes (2) returns (1) {',
+      '\t0x04 calldataload   // [to]',
+      '  [BALANCE_SLOT]  sload // [bal, to]',
+      'done :',
+      '0xAB stop',
+      '}'
+    ].join('\n');
+
+    assert.strictEqual(format(source), [
+      '#define constant MAX = 0xffff',
+      '#define macro TRANSFER(error, b) = takes(2) returns(1) {',
+      '    0x04 calldataload       // [to]',
+      '    [BALANCE_SLOT] sload    // [bal, to]',
+      '    done:',
+      '        0xab stop',
+      '}'
+    ].join('\n'));
+  });
+
+  test('respects the configured options and leaves block comments alone', () => {
+    const source = '/* keep\n   this */\n#define macro A() = {\n0xab\nl:\n0x01\n}';
+    const formatted = format(source, { indent: '\t', indentLabelBodies: false, hexCase: 'upper' });
+    assert.strictEqual(formatted, '/* keep\n   this */\n#define macro A() = {\n\t0xAB\n\tl:\n\t0x01\n}');
+  });
+});
@@ -0,0 +1,40 @@
+const assert = require('assert');
+
+const { parse } = require('../../features/parser');
+const { loadProject } = require('../../features/project');
+const { dynamicGasReason, estimateMacroGas } = require('../../features/gas');
+
+suite('Gas Test Suite', () => {
+  test('marks keccak256 and its sha3 alias as dynamic', () => {
+    const [macro] = parse(`#define macro HASH() = takes(2) returns(1) {
+    dup2 dup2 keccak256 sha3
+}`).definitions;
+
+    const reasons = macro.body.map(dynamicGasReason);
+    assert.deepStrictEqual(reasons.slice(0, 2), [null, null]);
+    assert.ok(reasons[2]);
+    assert.strictEqual(reasons[3], reasons[2]);
+  });
+
+  test('estimates the cheapest path through branches', () => {
+    const project = loadProject('/Main.huff', () => `
+#define macro EXPENSIVE() = takes(0) returns(0) {
+    0x01 sload 0x02 sstore stop
+}
+#define macro MAIN() = takes(0) returns(0) {
+    0x00 calldataload 0xe0 shr
+    dup1 0x01 eq first jumpi
+    0x00 dup1 revert
+    first:
+        EXPENSIVE()
+    loop:
+        loop jump
+}`);
+    const file = project.files.get('/Main.huff');
+    const main = file.program.definitions.find(definition => definition.name === 'MAIN');
+
+    // The dispatch up to the revert, neither the matched function nor the endless loop
+    const dispatch = 3 + 3 + 3 + 3 + 3 + 3 + 3 + 3 + 10;
+    assert.strictEqual(estimateMacroGas(project, file, main).gas, dispatch + 3 + 3 + 0);
+  });
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+
+const { loadProject } = require('../../features/project');
+const { semanticTokens } = require('../../features/highlighting/tokens');
+
+const source = `
+#define constant OWNER = FREE_STORAGE_POINTER()
+#define fn HELPER(dest) = takes(0) returns(0) {
+    [OWNER] sload <dest> jumpi
+}
+#define macro MAIN() = takes(0) returns(0) {
+    HELPER(done) MISSING() __FUNC_SIG(transfer) sloadd
+    done:
+}`;
+
+suite('Highlighting Test Suite', () => {
+  test('classifies names by what they resolve to', () => {
+    const project = loadProject('/Main.huff', () => source);
+    const file = project.files.get('/Main.huff');
+    const tokens = semanticTokens(project, file).map(({ range, type, modifiers }) =>
+      [source.slice(range.start, range.end), type, ...modifiers].join(' '));
+
+    assert.deepStrictEqual(tokens, [
+      'OWNER variable declaration readonly',
+      'HELPER function declaration',
+      'dest parameter declaration',
+      'OWNER variable readonly',
+      'dest parameter',
+      'MAIN macro declaration',
+      'HELPER function',
+      'done jumpLabel',
+      'MISSING unresolved',
+      '__FUNC_SIG builtin',
+      'transfer unresolved',
+      'sloadd unresolved',
+      'done jumpLabel declaration'
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+const assert = require('assert');
+
+const { parse, getDefinitions } = require('../../features/parser');
+const { getMacros, getImports, getFunctionSignaturesAndArgs } = require('../../features/regexUtils');
+
+const source = `
+#include "./utils/Ownable.huff"
+
+#define function transfer(address to, uint amount) nonpayable returns (bool)
+#define function swap((uint256,address)[] calldata orders) payable returns ()
+#define event Transfer(address indexed from, address indexed to, uint256 value)
+#define error Unauthorized(address)
+
+#define constant OWNER_SLOT = FREE_STORAGE_POINTER()
+#define constant MAX = 0xff
+
+#define jumptable SWITCH_TABLE {
+    transfer_label
+}
+
+/// @notice Reverts with <error> when the condition is zero
+#define macro REQUIRE(error) = takes(10) returns(0) {
+    iszero <error> jumpi // { not a brace }
+}
+
+#define fn HELPER() = {
+    [OWNER_SLOT] sload __FUNC_SIG(transfer) REQUIRE(err)
+    err:
+        0x00 dup1 revert
+}
+
+#[calldata("0x1234")]
+#define test TEST_HELPER() = {
+    HELPER()
+}
+`;
+
+suite('Parser Test Suite', () => {
+  test('parses every definition type', () => {
+    const program = parse(source);
+
+    assert.deepStrictEqual(program.errors, []);
+    assert.deepStrictEqual(program.includes.map(include => include.path), ['./utils/Ownable.huff']);
+    assert.deepStrictEqual(
+      program.definitions.map(definition => `${definition.type}:${definition.name}`),
+      [
+        'Function:transfer', 'Function:swap', 'Event:Transfer', 'Error:Unauthorized',
+        'Constant:OWNER_SLOT', 'Constant:MAX', 'Table:SWITCH_TABLE',
+        'Macro:REQUIRE', 'Macro:HELPER', 'Macro:TEST_HELPER'
+      ]
+    );
+  });
+
+  test('canonicalizes interface parameter types', () => {
+    const [transfer, swap] = getDefinitions(parse(source), 'Function');
+
+    assert.deepStrictEqual(transfer.params.map(param => param.type), ['address', 'uint256']);
+    assert.deepStrictEqual(transfer.outputs.map(param => param.type), ['bool']);
+    assert.strictEqual(swap.params[0].type, '(uint256,address)[]');
+    assert.strictEqual(swap.stateMutability, 'payable');
+
+    const [event] = getDefinitions(parse(source), 'Event');
+    assert.deepStrictEqual(event.params.map(param => param.indexed), [true, true, false]);
+  });
+
+  test('builds macro bodies with source ranges', () => {
+    const program = parse(source);
+    const [requireMacro, helper, testMacro] = getDefinitions(program, 'Macro');
+
+    assert.strictEqual(requireMacro.takes, 10);
+    assert.strictEqual(requireMacro.natspec, '@notice Reverts with <error> when the condition is zero');
+    assert.deepStrictEqual(requireMacro.body.map(node => node.type), ['Opcode', 'ArgumentReference', 'Opcode']);
+    assert.strictEqual(source.slice(requireMacro.nameRange.start, requireMacro.nameRange.end), 'REQUIRE');
+
+    assert.strictEqual(helper.kind, 'fn');
+    assert.strictEqual(helper.takes, null);
+    assert.deepStrictEqual(
+      helper.body.map(node => node.type),
+      ['ConstantReference', 'Opcode', 'BuiltinCall', 'MacroCall', 'LabelDefinition', 'Literal', 'Opcode', 'Opcode']
+    );
+    assert.strictEqual(helper.body[3].args[0].type, 'LabelReference');
+
+    assert.strictEqual(testMacro.decorators[0].name, 'calldata');
+  });
+
+  test('recovers from a broken definition', () => {
+    const program = parse('#define macro BROKEN( = takes(1 {\n#define constant X = 0x01');
+
+    assert.ok(program.errors.length > 0);
+    assert.deepStrictEqual(program.definitions.map(definition => definition.name), ['BROKEN', 'X']);
+  });
+
+  test('keeps the regex util interfaces', () => {
+    assert.deepStrictEqual(getImports(source), ['#include "./utils/Ownable.huff"']);
+    assert.deepStrictEqual(Object.keys(getMacros(source)), ['REQUIRE', 'HELPER', 'TEST_HELPER']);
+    assert.strictEqual(getMacros(source).HELPER.takes, 0);
+    assert.deepStrictEqual(
+      getFunctionSignaturesAndArgs(source).sighashes.a9059cbb,
+      { fnSig: 'transfer(address,uint256)', args: ['address', 'uint256'] }
+    );
+  });
+});
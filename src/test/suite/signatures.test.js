@@ -0,0 +1,58 @@
+const assert = require('assert');
+
+const { interfaceSignatureExtractor, signatureConstants, getFunctionSignaturesAndArgs, toUpperSnakeCase } = require('../../features/regexUtils');
+
+suite('Signatures Test Suite', () => {
+  test('extracts error selectors as constants', () => {
+    const { sigHashes, collisions } = interfaceSignatureExtractor(`
+      #define error Unauthorized(address)
+      #define error InsufficientBalance(uint256 available, uint256 required)
+    `, 'error');
+
+    assert.deepStrictEqual(collisions, []);
+    assert.strictEqual(sigHashes['8e4a23d6'], 'Unauthorized(address)');
+    assert.strictEqual(
+      signatureConstants(sigHashes, '_SELECTOR').split('\n')[0],
+      '#define constant UNAUTHORIZED_SELECTOR = 0x8e4a23d6'
+    );
+  });
+
+  test('reports signatures sharing a selector', () => {
+    // Both hash to 0x42966c68
+    const { sigHashes, collisions } = interfaceSignatureExtractor(`
+      #define function burn(uint256) nonpayable returns ()
+      #define function collate_propagate_storage(bytes16) nonpayable returns ()
+    `, 'function');
+
+    assert.deepStrictEqual(collisions, [{ hash: '42966c68', signatures: ['burn(uint256)', 'collate_propagate_storage(bytes16)'] }]);
+    assert.deepStrictEqual(sigHashes, { '42966c68': 'burn(uint256)' });
+  });
+
+  test('reports colliding functions for the debugger', () => {
+    const { sighashes, collisions } = getFunctionSignaturesAndArgs(`
+      #define function burn(uint256) nonpayable returns ()
+      #define function burn(uint256) nonpayable returns ()
+      #define function collate_propagate_storage(bytes16) nonpayable returns ()
+    `);
+
+    // Repeating a signature is not a collision
+    assert.deepStrictEqual(collisions, ['42966c68']);
+    assert.strictEqual(sighashes['42966c68'].fnSig, 'collate_propagate_storage(bytes16)');
+  });
+
+  test('names constants in upper snake case', () => {
+    assert.strictEqual(toUpperSnakeCase('balanceOf'), 'BALANCE_OF');
+    assert.strictEqual(toUpperSnakeCase('getURI'), 'GET_URI');
+    assert.strictEqual(toUpperSnakeCase('ERC20Transfer'), 'ERC20_TRANSFER');
+    assert.strictEqual(toUpperSnakeCase('Transfer'), 'TRANSFER');
+  });
+
+  test('numbers the constants of overloads', () => {
+    const { sigHashes } = interfaceSignatureExtractor(`
+      #define function safeTransferFrom(address, address, uint256) nonpayable returns ()
+      #define function safeTransferFrom(address, address, uint256, bytes) nonpayable returns ()
+    `, 'function');
+
+    assert.deepStrictEqual(signatureConstants(sigHashes, '_SELECTOR').match(/[A-Z0-9_]+(?= =)/g), ['SAFE_TRANSFER_FROM_SELECTOR', 'SAFE_TRANSFER_FROM_2_SELECTOR']);
+  });
+});
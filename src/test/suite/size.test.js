@@ -0,0 +1,53 @@
+const assert = require('assert');
+
+const { loadProject } = require('../../features/project');
+const { sizeBreakdown, pushSize } = require('../../features/size');
+
+const source = `
+#define constant OWNER_SLOT = FREE_STORAGE_POINTER()
+#define constant MASK = 0x00ffff
+
+#define jumptable__packed SWITCH {
+    a b
+}
+
+#define macro ONLY_OWNER() = takes(0) returns(0) {
+    [OWNER_SLOT] sload caller eq ok jumpi
+    0x00 dup1 revert
+    ok:
+}
+#define macro MAIN() = takes(0) returns(0) {
+    ONLY_OWNER()
+    [MASK] __tablestart(SWITCH)
+    ONLY_OWNER()
+    a: b:
+}`;
+
+suite('Size Test Suite', () => {
+  const project = loadProject('/Main.huff', () => source);
+  const file = project.files.get('/Main.huff');
+  const main = file.program.definitions.find(definition => definition.name === 'MAIN');
+
+  test('push size drops leading zeros', () => {
+    assert.strictEqual(pushSize('0x00'), 2);
+    assert.strictEqual(pushSize('0x0004'), 2);
+    assert.strictEqual(pushSize('0x00ffff'), 3);
+  });
+
+  test('attributes inlined copies and referenced tables', () => {
+    const { total, rows } = sizeBreakdown(project, file, main);
+    const byName = Object.fromEntries(rows.map(row => [row.name, row]));
+
+    // push1 sload caller eq push2 jumpi push1 dup1 revert jumpdest
+    assert.deepStrictEqual(
+      [byName.ONLY_OWNER.count, byName.ONLY_OWNER.size, byName.ONLY_OWNER.contribution],
+      [2, 2 + 1 + 1 + 1 + 3 + 1 + 2 + 1 + 1 + 1, 28]
+    );
+    // push2 for the constant and the table offset, two jumpdests
+    assert.strictEqual(byName.MAIN.contribution, 3 + 3 + 1 + 1);
+    assert.strictEqual(byName.MAIN.inclusiveSize, 8 + 28);
+    assert.deepStrictEqual([byName.SWITCH.kind, byName.SWITCH.contribution], ['jumptable__packed', 4]);
+    assert.strictEqual(total, 8 + 28 + 4);
+    assert.strictEqual(rows[0].name, 'ONLY_OWNER');
+  });
+});
@@ -0,0 +1,40 @@
+const assert = require('assert');
+
+const { parse, getDefinitions, formatSignature } = require('../../features/parser');
+const { solidityToHuff } = require('../../features/solidity');
+
+const source = `
+interface IPool {
+    enum Side { Buy, Sell }
+    struct Order { address maker; uint[] amounts; Side side; }
+
+    /// @notice Emitted for every fill
+    event Filled(address indexed maker, Order order);
+    error Expired(uint deadline);
+
+    function fill(Order[] calldata orders, bytes memory sig) external payable returns (uint256 filled);
+    function pool() external view returns (IPool);
+}`;
+
+suite('Solidity Test Suite', () => {
+  test('converts an interface into huff definitions', () => {
+    const { content, warnings } = solidityToHuff(source);
+    const program = parse(content);
+
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(program.errors, []);
+    assert.deepStrictEqual(content.split('\n')[0], '// IPool');
+    assert.deepStrictEqual(program.definitions.map(formatSignature), [
+      'Filled(address,(address,uint256[],uint8))',
+      'Expired(uint256)',
+      'fill((address,uint256[],uint8)[],bytes)',
+      'pool()'
+    ]);
+
+    const [fill, pool] = getDefinitions(program, 'Function');
+    assert.strictEqual(fill.stateMutability, 'payable');
+    assert.deepStrictEqual(fill.outputs.map(output => output.name), ['filled']);
+    assert.deepStrictEqual([pool.stateMutability, pool.outputs[0].type], ['view', 'address']);
+    assert.strictEqual(getDefinitions(program, 'Event')[0].params[0].indexed, true);
+  });
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+
+const { loadProject } = require('../../features/project');
+const { checkFileStack, createStackContext } = require('../../features/stack');
+const { annotateMacroStack, checkStackComments } = require('../../features/stack/comments');
+
+const source = `
+#define macro ADD2() = takes(2) returns(1) {
+    add
+}
+#define macro SWAP_POP() = {
+    swap1 pop
+}
+#define macro BAD_NET() = takes(0) returns(1) {
+    0x01 0x02 ADD2() 0x03 0x04 SWAP_POP()
+}
+#define macro UNDERFLOW() = takes(1) returns(0) {
+    ADD2() pop
+}
+#define macro BRANCH() = takes(1) returns(1) {
+    dup1 skip jumpi
+    0x00 0x00 revert
+    skip:
+        0x01 add
+}
+#define macro DISPATCH() = takes(0) returns(0) {
+    0x00 calldataload dup1 one jumpi
+    0x00 dup1 revert
+    one:
+        pop stop
+    unknown:
+        add add add
+}
+`;
+
+const check = () => {
+  const project = loadProject('/Stack.huff', () => source);
+  const file = project.files.get('/Stack.huff');
+  return checkFileStack(project, file).map(problem => source.slice(problem.range.start, problem.range.end));
+};
+
+suite('Stack Test Suite', () => {
+  test('reports net effect mismatches and underflow through nested macros', () => {
+    assert.deepStrictEqual(check(), ['BAD_NET', 'ADD2()']);
+  });
+
+  test('follows jumps to labels and stops at labels it cannot reach', () => {
+    const flagged = check();
+    assert.ok(!flagged.includes('BRANCH'));
+    assert.ok(!flagged.includes('add'));
+  });
+
+  test('uses the stack effects of mload, not, swapN and the call family', () => {
+    const opcodes = `
+#define macro LOAD() = takes(1) returns(1) {
+    mload not
+}
+#define macro ROTATE() = takes(4) returns(4) {
+    swap3
+}
+#define macro SWAP_DEEP() = takes(8) returns(8) {
+    swap7
+}
+#define macro CALLS() = takes(0) returns(4) {
+    0x00 0x00 0x00 0x00 0x00 caller gas call
+    0x00 0x00 0x00 0x00 0x00 caller gas callcode
+    0x00 0x00 0x00 0x00 caller gas staticcall
+    caller extcodehash
+}
+`;
+    const project = loadProject('/Opcodes.huff', () => opcodes);
+    assert.deepStrictEqual(checkFileStack(project, project.files.get('/Opcodes.huff')), []);
+  });
+
+  test('annotates lines with the symbolic stack and verifies existing comments', () => {
+    const commented = `
+#define macro LOAD() = takes(1) returns(2) {
+    // [slot]
+    dup1 sload // [value]
+    0x01 add
+}`;
+    const project = loadProject('/Load.huff', () => commented);
+    const { program } = project.files.get('/Load.huff');
+    const context = createStackContext(project);
+
+    const edits = annotateMacroStack(commented, program, program.definitions[0], context);
+    assert.deepStrictEqual(edits.map(edit => edit.text.trim()), ['// [sload(slot), slot]', '// [add(0x01, sload), slot]']);
+    assert.strictEqual(checkStackComments(program, context).length, 1);
+  });
+
+  test('stops annotating and verifying comments after a stack underflow', () => {
+    const commented = `
+#define macro READ() = takes(1) returns(1) {
+    mload // [value]
+    pop pop // [value]
+    0x01 // [0x01]
+}`;
+    const project = loadProject('/Read.huff', () => commented);
+    const { program } = project.files.get('/Read.huff');
+    const context = createStackContext(project);
+
+    const edits = annotateMacroStack(commented, program, program.definitions[0], context);
+    assert.deepStrictEqual(edits.map(edit => edit.text.trim()), ['// [mload(in0)]']);
+    assert.deepStrictEqual(checkStackComments(program, context), []);
+  });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+
+const { loadProject, contractStorageSlots } = require('../../features/project');
+const { storageLayout, layoutReport } = require('../../features/storage');
+
+const files = {
+  '/src/Token.huff': `#include "./Owned.huff"
+#define constant BALANCE_SLOT = FREE_STORAGE_POINTER()
+#define constant SUPPLY_SLOT = FREE_STORAGE_POINTER()
+#define constant UNUSED_SLOT = FREE_STORAGE_POINTER()
+
+#define macro MINT() = takes(1) returns(0) {
+    [SUPPLY_SLOT] sload add
+    [SUPPLY_SLOT] sstore
+    [BALANCE_SLOT] dup1 sload
+}`,
+  '/src/Owned.huff': `#define constant OWNER_SLOT = FREE_STORAGE_POINTER()
+
+#define macro ONLY_OWNER() = takes(0) returns(0) {
+    [OWNER_SLOT] sload caller eq authorized jumpi
+    0x00 dup1 revert
+    authorized:
+}`
+};
+
+suite('Storage Test Suite', () => {
+  const project = loadProject('/src/Token.huff', filePath => files[filePath] || null);
+
+  test('lists slots in include order with the macros accessing them', () => {
+    const layout = storageLayout(project);
+
+    assert.deepStrictEqual(layout.map(({ slot, name }) => [slot, name]), [
+      [0, 'OWNER_SLOT'], [1, 'BALANCE_SLOT'], [2, 'SUPPLY_SLOT'], [3, 'UNUSED_SLOT']
+    ]);
+    assert.deepStrictEqual(layout[0].accesses.map(access => [access.macro.name, access.operation]), [['ONLY_OWNER', 'sload']]);
+    assert.deepStrictEqual(layout[2].accesses.map(access => access.operation), ['sload', 'sstore']);
+    // Only a reference immediately followed by sload or sstore counts as an access
+    assert.deepStrictEqual(layout[1].accesses, []);
+  });
+
+  test('writes a report with relative paths and lines', () => {
+    const report = layoutReport(project, filePath => filePath.slice(1));
+
+    assert.strictEqual(report.root, 'src/Token.huff');
+    assert.deepStrictEqual(report.slots[0], {
+      slot: 0,
+      name: 'OWNER_SLOT',
+      file: 'src/Owned.huff',
+      line: 1,
+      accesses: [{ macro: 'ONLY_OWNER', operation: 'sload', file: 'src/Owned.huff', line: 4 }]
+    });
+    assert.deepStrictEqual(report.slots[2].accesses.map(access => access.line), [7, 8]);
+  });
+
+  test('takes the slots of a library from the contracts including it', () => {
+    const read = filePath => ({
+      '/src/Token.huff': files['/src/Token.huff'],
+      '/src/Owned.huff': files['/src/Owned.huff'],
+      '/src/Vault.huff': `#include "./Paused.huff"
+#include "./Owned.huff"`,
+      '/src/Paused.huff': '#define constant PAUSED_SLOT = FREE_STORAGE_POINTER()'
+    })[filePath] || null;
+    const token = loadProject('/src/Token.huff', read);
+    const vault = loadProject('/src/Vault.huff', read);
+
+    assert.deepStrictEqual([...contractStorageSlots([token], '/src/Token.huff')], [['BALANCE_SLOT', 1], ['SUPPLY_SLOT', 2], ['UNUSED_SLOT', 3]]);
+    assert.deepStrictEqual([...contractStorageSlots([vault], '/src/Owned.huff')], [['OWNER_SLOT', 1]]);
+    // Contracts disagreeing on a slot leave it unknown
+    assert.deepStrictEqual([...contractStorageSlots([token, vault], '/src/Owned.huff')], []);
+    assert.deepStrictEqual([...contractStorageSlots([], '/src/Owned.huff')], []);
+  });
+});
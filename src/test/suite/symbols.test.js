@@ -0,0 +1,46 @@
+const assert = require('assert');
+
+const { loadProject } = require('../../features/project');
+const { symbolAt, resolveDefinitions, findReferences } = require('../../features/symbols');
+
+const source = `
+#define jumptable TABLE { one two }
+#define macro USE_TABLE() = takes(0) returns(0) {
+    __tablestart(TABLE) INNER()
+    one:
+    two:
+}
+#define macro INNER() = takes(0) returns(0) {
+    one jump
+}
+#define macro UNRELATED() = takes(0) returns(0) {
+    one jump
+    one:
+}
+#define jumptable UNUSED { one }`;
+
+const project = loadProject('/Labels.huff', () => source);
+const file = project.files.get('/Labels.huff');
+const lineOf = (offset) => source.slice(0, offset).split('\n').length - 1;
+const lookup = (offset) => {
+  const symbol = symbolAt(file.program, offset);
+  return {
+    definitions: resolveDefinitions(project, file, symbol).map(found => lineOf(found.range.start)),
+    references: findReferences(project.files, file, symbol).map(found => lineOf(found.range.start)).sort()
+  };
+};
+
+suite('Symbols Test Suite', () => {
+  test('resolves jump table labels to the macros using the table', () => {
+    assert.deepStrictEqual(lookup(source.indexOf('one')), { definitions: [4], references: [1, 4, 8] });
+  });
+
+  test('resolves labels a macro does not define to the macros invoking it', () => {
+    assert.deepStrictEqual(lookup(source.indexOf('one jump')), { definitions: [4], references: [1, 4, 8] });
+  });
+
+  test('keeps labels defined in their own macro local', () => {
+    assert.deepStrictEqual(lookup(source.lastIndexOf('one jump')), { definitions: [12], references: [11, 12] });
+    assert.deepStrictEqual(lookup(source.lastIndexOf('one')).references, [14]);
+  });
+});
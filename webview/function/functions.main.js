@@ -50,6 +50,9 @@ function cleanState(state) {
     updateState(vscode, { showValue: e.target.checked });
   });
 
+  // Let the extension know it can send a selection
+  vscode.postMessage({ type: "ready" });
+
   // Register listeners
   callValueInput.addEventListener("keypress", handleCallValueKeyPress);
   callValueInput.addEventListener("change", handleCallValueKeyPress);
@@ -100,7 +103,9 @@ function cleanState(state) {
     const message = event.data; // The json data that the extension sent
     switch (message.type) {
       case "receiveContractInterface": {
-        addOptionsToFunctionSelector(message.data, null);
+        // Select the function a code lens was clicked for
+        document.getElementById("function-select").innerHTML = "";
+        addOptionsToFunctionSelector(message.data, message.selected || null);
         break;
       }
     }
@@ -126,6 +126,9 @@ function cleanState(state) {
     renderStateSetter(id, false, false);
   });
 
+  // Let the extension know it can send a selection
+  vscode.postMessage({ type: "ready" });
+
   calldataInput.addEventListener("keypress", handleCalldataKeyPress);
   calldataInput.addEventListener("change", handleCalldataKeyPress);
   callValueInput.addEventListener("keypress", handleCallValueKeyPress);
@@ -137,8 +140,9 @@ function cleanState(state) {
     const message = event.data; // The json data that the extension sent
     switch (message.type) {
       case "receiveMacros": {
-        // Add options to the macro selector
-        addOptionsToMacroSelector(message.data, null);
+        // Add options to the macro selector, selecting the macro a code lens was clicked for
+        document.getElementById("macro-select").innerHTML = "";
+        addOptionsToMacroSelector(message.data, message.selected || null);
 
         // save the currently edited file
         updateState(vscode, { currentFile: message.currentFile });
@@ -0,0 +1,92 @@
+// This script will be run within the webview itself
+// It cannot access the main VS Code APIs directly.
+
+(function () {
+  // --------------- Initialization --------------- //
+  const vscode = acquireVsCodeApi();
+  const state = vscode.getState() || {};
+
+  let report = state.report || null;
+  let sortKey = state.sortKey || "contribution";
+  let descending = state.descending !== undefined ? state.descending : true;
+
+  document.querySelectorAll(".size-table th").forEach((header) => {
+    header.addEventListener("click", () => {
+      const key = header.dataset.sort;
+      // Clicking the sorted column again flips the order
+      descending = key === sortKey ? !descending : true;
+      sortKey = key;
+      vscode.setState({ ...vscode.getState(), sortKey, descending });
+      render();
+    });
+  });
+
+  // Handle messages sent from the extension to the webview
+  window.addEventListener("message", (event) => {
+    const message = event.data; // The json data that the extension sent
+    switch (message.type) {
+      case "receiveReport": {
+        report = message.report;
+        vscode.setState({ ...vscode.getState(), report });
+        render();
+        break;
+      }
+    }
+  });
+
+  render();
+  vscode.postMessage({ type: "ready" });
+
+  // ----------------- Rendering ----------------- //
+  function render() {
+    if (!report) return;
+
+    document.querySelector(".size-contract").textContent = report.contract;
+
+    const percentage = ((report.runtimeSize / report.maxCodeSize) * 100).toFixed(1);
+    const summary = document.querySelector(".size-summary");
+    summary.innerHTML = "";
+    [
+      `Creation code: ${report.creationSize} bytes`,
+      `Runtime code: ${report.runtimeSize} bytes (${percentage}% of the ${report.maxCodeSize} byte limit)`,
+      `Estimated from MAIN: ${report.estimatedSize} bytes`,
+    ].forEach((text) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      summary.appendChild(item);
+    });
+
+    document.querySelectorAll(".size-table th").forEach((header) => {
+      header.classList.toggle("sorted", header.dataset.sort === sortKey);
+      header.classList.toggle("descending", header.dataset.sort === sortKey && descending);
+    });
+
+    const rows = [...report.rows].sort((a, b) => {
+      const order = typeof a[sortKey] === "number"
+        ? a[sortKey] - b[sortKey]
+        : String(a[sortKey]).localeCompare(String(b[sortKey]));
+      return descending ? -order : order;
+    });
+
+    const body = document.querySelector(".size-table tbody");
+    body.innerHTML = "";
+    for (const row of rows) {
+      const tr = document.createElement("tr");
+      const share = report.estimatedSize ? ((row.contribution / report.estimatedSize) * 100).toFixed(1) : "0.0";
+      [
+        row.name,
+        row.kind,
+        row.count,
+        row.size,
+        row.inclusiveSize,
+        `${row.contribution} (${share}%)`,
+        row.file,
+      ].forEach((value) => {
+        const td = document.createElement("td");
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    }
+  }
+})();